@@ -37,9 +37,39 @@ const XentauriApp = {
         connected: false,
         reconnecting: false,
         pairing: false,
-        loadingTimeout: null  // Timer for loading timeout
+        loadingTimeout: null,  // Timer for loading timeout
+        content: null          // What's on screen: { type, data, id } (see saveState)
     },
 
+    // Command types handled by handleCommand (advertised in the hello handshake)
+    COMMAND_TYPES: [
+        'loading_start',
+        'display_scene',
+        'patch_scene',
+        'update_component',
+        'show_content',
+        'clear_content',
+        'power_off',
+        'set_config',
+        'set_theme',
+        'capture_screenshot',
+        'display_playlist',
+        'list_schedule',
+        'cancel_schedule'
+    ],
+
+    // sessionStorage key holding the time of the last server-requested reload
+    RELOAD_KEY: 'xentauri_last_reload',
+
+    // Features negotiated with the server in hello_ack (null until received)
+    features: null,
+
+    // Commands that replace what's on screen (and so stop a running playlist)
+    CONTENT_COMMANDS: ['display_scene', 'show_content', 'clear_content', 'power_off', 'display_playlist'],
+
+    // True while a playlist item renders (its content isn't saved as the state)
+    renderingPlaylistItem: false,
+
     // -------------------------------------------------------------------------
     // Initialization
     // -------------------------------------------------------------------------
@@ -53,6 +83,9 @@ const XentauriApp = {
         // Get DOM elements
         this.initElements();
 
+        // Device colour theme (before anything renders)
+        ThemeManager.apply();
+
         // Initialize scene renderer
         SceneRenderer.init(this.elements.displayContainer);
 
@@ -79,7 +112,30 @@ const XentauriApp = {
             ElevenLabsService.init();
         }
 
-        // Check if already paired
+        // Setup keyboard shortcuts
+        this.setupKeyboardShortcuts();
+
+        // Load component plugins before any scene can arrive. A plugin
+        // failure must not keep the device from connecting.
+        ComponentRegistry.loadPlugins(CONFIG.PLUGINS.SCRIPTS)
+            .then((status) => {
+                if (status.loaded.length || status.failed.length) {
+                    console.log('[Xentauri App] Plugins:', status);
+                }
+            })
+            .catch((error) => {
+                console.error('[Xentauri App] Plugin loading failed:', error);
+            })
+            .then(() => this.connectOrPair())
+            .catch((error) => {
+                console.error('[Xentauri App] Initialization error:', error);
+            });
+    },
+
+    /**
+     * Connect if the device is paired, otherwise show the pairing screen.
+     */
+    connectOrPair() {
         if (isPaired()) {
             console.log('[Xentauri App] Device is paired, connecting...');
             this.state.paired = true;
@@ -90,9 +146,6 @@ const XentauriApp = {
             this.showPairingScreen();
         }
 
-        // Setup keyboard shortcuts
-        this.setupKeyboardShortcuts();
-
         console.log('[Xentauri App] Initialized');
     },
 
@@ -293,6 +346,12 @@ const XentauriApp = {
             return;
         }
 
+        // Scheduled commands run whether or not the server is reachable
+        CommandScheduler.init({
+            execute: (entry) => this.runScheduledCommand(entry),
+            expire: (entry, reason) => this.expireScheduledCommand(entry, reason)
+        });
+
         this.ws = new XentauriWebSocket({
             agentId: agentId,
             wsUrl: CONFIG.WS_URL,
@@ -300,7 +359,10 @@ const XentauriApp = {
             onDisconnected: (data) => this.handleDisconnected(data),
             onCommand: (cmd) => this.handleCommand(cmd),
             onError: (err) => this.handleError(err),
-            onReconnecting: (data) => this.handleReconnecting(data)
+            onReconnecting: (data) => this.handleReconnecting(data),
+            onHelloAck: (ack) => this.handleHelloAck(ack),
+            getCapabilities: () => this.getCapabilities(),
+            getTelemetry: () => TelemetryCollector.collect(this.getContentStatus())
         });
 
         // Show connecting overlay
@@ -333,6 +395,144 @@ const XentauriApp = {
         }
     },
 
+    /**
+     * Describe what the screen is currently showing (for telemetry).
+     * @returns {Object} { type, scene_id, component_count, render_errors, playlist }
+     */
+    getContentStatus() {
+        const scene = SceneRenderer.getCurrentScene();
+        let type = 'none';
+
+        if (PlaylistPlayer.isPlaying()) {
+            type = 'playlist';
+        } else if (SceneRenderer.hasCustomLayout()) {
+            type = 'custom_layout';
+        } else if (scene) {
+            type = 'scene';
+        } else if (SceneRenderer.isIdle()) {
+            type = 'idle';
+        } else if (SceneRenderer.getCurrentUrl()) {
+            type = 'url';
+        }
+
+        return {
+            type,
+            scene_id: scene?.scene_id || null,
+            component_count: scene?.components?.length || 0,
+            render_errors: SceneRenderer.getRenderErrors().length,
+            playlist: PlaylistPlayer.getStatus(),
+            theme: ThemeManager.getStatus(),
+            locale: I18n.getLocale()
+        };
+    },
+
+    // -------------------------------------------------------------------------
+    // Handshake
+    // -------------------------------------------------------------------------
+
+    /**
+     * Capabilities sent in the `hello` message.
+     * @returns {Object} snake_case fields merged into the message
+     */
+    getCapabilities() {
+        return {
+            schema_version: SceneValidator.SCHEMA_VERSION,
+            commands: [...this.COMMAND_TYPES],
+            component_types: ComponentRegistry.getTypes(),
+            layout_intents: [...SceneValidator.LAYOUT_INTENTS],
+            transitions: [...SceneTransitions.TYPES],
+            themes: ThemeManager.getThemes(),
+            languages: I18n.getLanguages(),
+            features: this.getLocalFeatures()
+        };
+    },
+
+    /**
+     * Features this build can provide with the current configuration.
+     * @returns {Object<string, boolean>}
+     */
+    getLocalFeatures() {
+        return {
+            tts: Boolean(window.ElevenLabsService && ElevenLabsService.isEnabled()),
+            custom_layout: true,
+            sandboxed_layout: CONFIG.CUSTOM_LAYOUT.MODE === 'sandboxed',
+            screenshot: Boolean(window.ScreenCapture),
+            telemetry: Boolean(CONFIG.TELEMETRY.ENABLED)
+        };
+    },
+
+    /**
+     * A feature is on when this build supports it and the server
+     * hasn't switched it off in hello_ack.
+     * @param {string} name - Feature name (see getLocalFeatures)
+     * @returns {boolean}
+     */
+    isFeatureEnabled(name) {
+        return Boolean(this.getLocalFeatures()[name]) && this.features?.[name] !== false;
+    },
+
+    /**
+     * Handle the server's hello_ack: reload outdated clients and apply
+     * negotiated features.
+     * @param {Object} ack - { protocolVersion, features, minClientVersion, reload, message }
+     */
+    handleHelloAck(ack) {
+        if (ack.message) {
+            console.log('[Xentauri App] Server:', ack.message);
+        }
+
+        const outdated = ack.minClientVersion &&
+            Helpers.compareVersions(CONFIG.CLIENT_VERSION, ack.minClientVersion) < 0;
+
+        if (ack.reload || outdated) {
+            const reason = outdated
+                ? `client ${CONFIG.CLIENT_VERSION} < required ${ack.minClientVersion}`
+                : 'requested by server';
+            if (this.reloadForUpdate(reason)) return;
+        }
+
+        this.features = ack.features;
+        console.log('[Xentauri App] Negotiated features:', this.features);
+
+        // TTS can be switched off by the server
+        const scene = SceneRenderer.getCurrentScene();
+        if (scene) {
+            this.showListenButton(scene);
+        }
+    },
+
+    /**
+     * Reload the page to pick up a newer client build. Skipped if a reload
+     * already happened within CONFIG.RELOAD_COOLDOWN (e.g. a stale cache
+     * serving the same version again).
+     * @param {string} reason - Logged reason
+     * @returns {boolean} True if a reload was started
+     */
+    reloadForUpdate(reason) {
+        let lastReload = 0;
+        try {
+            lastReload = Number(sessionStorage.getItem(this.RELOAD_KEY)) || 0;
+        } catch (e) {
+            // sessionStorage unavailable - reload anyway
+        }
+
+        if (Date.now() - lastReload < CONFIG.RELOAD_COOLDOWN) {
+            console.warn(`[Xentauri App] Reload skipped (${reason}): reloaded recently`);
+            return false;
+        }
+
+        console.log(`[Xentauri App] Reloading: ${reason}`);
+        try {
+            sessionStorage.setItem(this.RELOAD_KEY, String(Date.now()));
+        } catch (e) {
+            // Ignore
+        }
+
+        this.showConnectionStatus('Updating...', 'Reloading to a newer version');
+        setTimeout(() => window.location.reload(), 1000);
+        return true;
+    },
+
     handleDisconnected(data) {
         console.log('[Xentauri App] Disconnected:', data);
         this.state.connected = false;
@@ -361,33 +561,270 @@ const XentauriApp = {
     // Command Handlers
     // -------------------------------------------------------------------------
 
+    /**
+     * Handle a command from the server: schedule it if it carries
+     * execute_at / expires_at, otherwise run it now.
+     * @returns {Object|undefined} Command result reported back in the ACK
+     *   ({ status, errorCode, errorMessage, durationMs }); undefined = completed
+     */
     handleCommand(cmd) {
         console.log('[Xentauri App] Command:', cmd.commandType);
 
+        if (cmd.executeAt != null || cmd.expiresAt != null) {
+            return this.scheduleCommand(cmd);
+        }
+
+        return this.executeCommand(cmd);
+    },
+
+    /**
+     * Route a command to its handler.
+     * @returns {Object|Promise|undefined} Command result (see handleCommand)
+     */
+    executeCommand(cmd) {
+        if (this.CONTENT_COMMANDS.includes(cmd.commandType)) {
+            PlaylistPlayer.stop();
+        }
+
         switch (cmd.commandType) {
             case 'loading_start':
-                this.handleLoadingStart(cmd.parameters);
-                break;
+                return this.handleLoadingStart(cmd.parameters);
 
             case 'display_scene':
-                this.handleDisplayScene(cmd.parameters);
-                break;
+                return this.handleDisplayScene(cmd.parameters, cmd.commandId);
+
+            case 'patch_scene':
+                return this.handlePatchScene(cmd.parameters, cmd.commandId);
+
+            case 'update_component':
+                return this.handleUpdateComponent(cmd.parameters, cmd.commandId);
 
             case 'show_content':
-                this.handleShowContent(cmd.parameters);
-                break;
+                return this.handleShowContent(cmd.parameters);
 
             case 'clear_content':
-                this.handleClearContent();
-                break;
+                return this.handleClearContent(cmd.parameters);
 
             case 'power_off':
-                this.handlePowerOff();
-                break;
+                return this.handlePowerOff();
+
+            case 'set_config':
+                return this.handleSetConfig(cmd.parameters, cmd.commandId);
+
+            case 'set_theme':
+                return this.handleSetTheme(cmd.parameters);
+
+            case 'capture_screenshot':
+                return this.handleCaptureScreenshot(cmd.parameters, cmd.commandId);
+
+            case 'display_playlist':
+                return this.handleDisplayPlaylist(cmd.parameters);
+
+            case 'list_schedule':
+                return this.handleListSchedule(cmd.commandId);
+
+            case 'cancel_schedule':
+                return this.handleCancelSchedule(cmd.parameters);
 
             default:
                 console.log('[Xentauri App] Unknown command:', cmd.commandType);
+                return this.commandFailed('unknown_command', `Unknown command: ${cmd.commandType}`);
+        }
+    },
+
+    // -------------------------------------------------------------------------
+    // Scheduled / Expiring Commands
+    // -------------------------------------------------------------------------
+
+    /**
+     * Parse an execute_at / expires_at value (ISO string or epoch ms).
+     * @returns {number|null} Epoch ms, null if absent, NaN if invalid
+     */
+    parseScheduleTime(value) {
+        if (value === undefined || value === null) return null;
+        if (typeof value === 'number') return value;
+
+        const date = Helpers.parseDate(value);
+        return date ? date.getTime() : NaN;
+    },
+
+    /**
+     * Schedule a command with execute_at and/or expires_at.
+     * A future execute_at stores it (ACK status 'scheduled'; the execution
+     * result is ACKed again when it runs). expires_at alone runs it now.
+     * Content commands (display_scene, show_content) revert to the previous
+     * content when they expire.
+     */
+    scheduleCommand(cmd) {
+        const now = Date.now();
+        const executeAt = this.parseScheduleTime(cmd.executeAt);
+        const expiresAt = this.parseScheduleTime(cmd.expiresAt);
+
+        if (Number.isNaN(executeAt) || Number.isNaN(expiresAt)) {
+            return this.commandFailed('invalid_schedule', 'execute_at / expires_at must be ISO dates or epoch milliseconds');
+        }
+        if (['list_schedule', 'cancel_schedule'].includes(cmd.commandType)) {
+            return this.commandFailed('invalid_schedule', `${cmd.commandType} can't be scheduled`);
+        }
+        if (expiresAt !== null && expiresAt <= (executeAt ?? now)) {
+            return expiresAt <= now
+                ? this.commandFailed('command_expired', 'expires_at is in the past')
+                : this.commandFailed('invalid_schedule', 'expires_at must be after execute_at');
+        }
+
+        if (executeAt !== null && executeAt > now) {
+            CommandScheduler.add(cmd, executeAt, expiresAt);
+            console.log(`[Xentauri App] Scheduled ${cmd.commandType} for ${new Date(executeAt).toISOString()}`);
+            return { status: 'scheduled' };
+        }
+
+        return this.runWithExpiry(cmd, expiresAt);
+    },
+
+    /**
+     * Execute a command and, if it has an expiry and succeeded, keep it
+     * active in the scheduler until then.
+     */
+    runWithExpiry(cmd, expiresAt) {
+        const previous = this.state.content;
+        const result = this.executeCommand(cmd);
+
+        const track = (outcome) => {
+            if (expiresAt && outcome?.status !== 'failed') {
+                CommandScheduler.activate(cmd, expiresAt, {
+                    previous,
+                    contentId: this.state.content !== previous ? this.state.content?.id ?? null : null
+                });
+            }
+            return outcome;
+        };
+
+        return result && typeof result.then === 'function' ? result.then(track) : track(result);
+    },
+
+    /**
+     * Scheduler callback: a pending command is due.
+     */
+    runScheduledCommand(entry) {
+        console.log(`[Xentauri App] Running scheduled ${entry.commandType} (${entry.id})`);
+
+        const startedAt = performance.now();
+        const cmd = { commandId: entry.id, commandType: entry.commandType, parameters: entry.parameters };
+        const report = (result) => this.ws?.reportCommandResult(entry.id, result, startedAt);
+
+        try {
+            const result = this.runWithExpiry(cmd, entry.expiresAt);
+            if (result && typeof result.then === 'function') {
+                result.then(report, e => report(this.ws?.exceptionResult(e)));
+            } else {
+                report(result);
+            }
+        } catch (e) {
+            console.error(`[Xentauri App] Scheduled ${entry.commandType} failed:`, e);
+            report(this.ws?.exceptionResult(e));
+        }
+    },
+
+    /**
+     * Scheduler callback: a command expired.
+     * @param {Object} entry - Scheduler entry
+     * @param {string} reason - 'expired' (was active) or 'missed' (never ran)
+     */
+    expireScheduledCommand(entry, reason) {
+        if (reason === 'missed') {
+            console.log(`[Xentauri App] Scheduled ${entry.commandType} (${entry.id}) expired before it ran`);
+            this.ws?.reportCommandResult(entry.id, this.commandFailed('command_expired', 'Expired before execution'), performance.now());
+            return;
+        }
+
+        // Only revert if this command's content is still on screen
+        if (!entry.contentId || this.state.content?.id !== entry.contentId) {
+            return;
         }
+
+        console.log(`[Xentauri App] ${entry.commandType} (${entry.id}) expired, restoring previous content`);
+        this.restoreContent(entry.previous);
+    },
+
+    /**
+     * Show a previous content state, or the idle screen if there was none.
+     */
+    restoreContent(previous) {
+        PlaylistPlayer.stop();
+
+        if (!previous) {
+            this.handleClearContent();
+            return;
+        }
+
+        this.showSavedContent(previous);
+        if (previous.type === 'playlist') return;
+
+        const scene = previous.type === 'scene' ? previous.data : previous.data?.scene;
+        if (scene) {
+            this.showListenButton(scene);
+        } else if (this.listenButton) {
+            this.listenButton.hide();
+        }
+    },
+
+    /**
+     * Handle list_schedule command - report scheduled and active commands.
+     */
+    handleListSchedule(commandId) {
+        const entries = CommandScheduler.list();
+        this.ws?.sendScheduleReport({ commandId, entries });
+        return { status: 'completed' };
+    },
+
+    /**
+     * Handle cancel_schedule command.
+     * Parameters: { command_id } or { all: true }. Cancelling an active
+     * command reverts its content like expiry would.
+     */
+    handleCancelSchedule(params) {
+        const ids = params?.all
+            ? CommandScheduler.entries.map(entry => entry.id)
+            : [params?.command_id].filter(Boolean);
+
+        if (ids.length === 0 && !params?.all) {
+            return this.commandFailed('missing_command_id', 'cancel_schedule requires command_id or all');
+        }
+
+        // Newest first, so stacked takeovers unwind in order
+        const cancelled = ids.reverse().map(id => {
+            const entry = CommandScheduler.get(id);
+            if (entry?.state === 'active') {
+                this.expireScheduledCommand(entry, 'expired');
+            }
+            return CommandScheduler.remove(id);
+        }).filter(Boolean);
+
+        if (cancelled.length === 0 && !params?.all) {
+            return this.commandFailed('not_found', `No scheduled command ${params.command_id}`);
+        }
+
+        console.log(`[Xentauri App] Cancelled ${cancelled.length} scheduled command(s)`);
+        return { status: 'completed' };
+    },
+
+    /**
+     * Build a failed command result.
+     * @param {string} errorCode - Machine-readable error code
+     * @param {string} errorMessage - Human-readable description
+     * @returns {Object} Command result
+     */
+    commandFailed(errorCode, errorMessage) {
+        return { status: 'failed', errorCode, errorMessage };
+    },
+
+    /**
+     * Transition requested by a content command (see SceneTransitions).
+     * @param {Object} params - Command parameters ({ transition, transition_duration })
+     * @returns {Object} { transition, duration } for SceneRenderer
+     */
+    transitionOptions(params) {
+        return { transition: params?.transition, duration: params?.transition_duration };
     },
 
     /**
@@ -453,8 +890,14 @@ const XentauriApp = {
      * Sprint 5.2: Supports custom_layout (GPT-5.2 HTML) with SceneGraph fallback.
      * Sprint 5.2.3: Hides thinking indicator when content arrives.
      * Sprint 5.2.4: Shows listen button for on-demand TTS narration.
+     * Scenes are validated against SceneValidator's schema and any validation
+     * or component render errors are reported to the backend.
+     * @param {Object} params - Command parameters
+     * @param {string} commandId - Command ID (for the scene report)
+     * @returns {Object} Command result: completed, fallback (custom layout
+     *   failed but the scene rendered, or some components failed) or failed
      */
-    handleDisplayScene(params) {
+    handleDisplayScene(params, commandId = null) {
         // Clear loading timeout - content arrived!
         if (this.state.loadingTimeout) {
             clearTimeout(this.state.loadingTimeout);
@@ -469,25 +912,36 @@ const XentauriApp = {
 
         const scene = params?.scene;
         const customLayout = params?.custom_layout;
+        const renderMode = params?.render_mode;
+        const transition = this.transitionOptions(params);
+        const startedAt = performance.now();
+        let layoutError = null;
 
         // Custom layout takes priority if available
         if (customLayout) {
             console.log('[Xentauri App] Rendering custom HTML layout (GPT-5.2)');
 
             // Render custom layout with scene as fallback
-            const success = SceneRenderer.renderCustomLayout(customLayout, scene);
+            let success = false;
+            try {
+                success = SceneRenderer.renderCustomLayout(customLayout, scene, { mode: renderMode, ...transition });
+            } catch (e) {
+                console.error('[Xentauri App] Custom layout error:', e);
+                layoutError = e.message;
+            }
 
             if (success) {
                 // Save state for persistence
-                if (CONFIG.PERSIST_CONTENT) {
-                    this.saveState('custom_layout', { customLayout, scene });
-                }
+                this.saveState('custom_layout', { customLayout, scene, renderMode });
 
                 // Show listen button for on-demand TTS (Sprint 5.2.4)
-                if (scene && this.listenButton) {
-                    this.listenButton.show(scene);
+                if (scene) {
+                    this.showListenButton(scene);
                 }
-                return;
+
+                const durationMs = Math.round(performance.now() - startedAt);
+                TelemetryCollector.recordRender('custom_layout', durationMs);
+                return { status: 'completed', durationMs };
             }
 
             // Custom layout failed, fall through to scene rendering
@@ -497,23 +951,202 @@ const XentauriApp = {
         // SceneGraph fallback
         if (!scene) {
             console.error('[Xentauri App] display_scene: No scene data');
-            return;
+            return customLayout
+                ? this.commandFailed('custom_layout_failed', layoutError || 'Custom layout failed and no scene fallback was provided')
+                : this.commandFailed('missing_scene', 'display_scene requires a scene or custom_layout');
         }
 
         console.log('[Xentauri App] Rendering scene:', scene.scene_id);
 
+        // Validate (reported, never blocks rendering)
+        const validation = SceneValidator.validate(scene);
+        if (!validation.valid) {
+            console.warn('[Xentauri App] Scene validation errors:', validation.errors);
+        }
+
         // Render the scene
-        SceneRenderer.render(scene);
+        try {
+            SceneRenderer.render(scene, transition);
+        } catch (e) {
+            console.error('[Xentauri App] Scene render error:', e);
+            this.reportSceneIssues(commandId, scene, validation.errors, []);
+            return this.commandFailed('render_error', e.message);
+        }
+
+        const componentErrors = SceneRenderer.getRenderErrors();
+        this.reportSceneIssues(commandId, scene, validation.errors, componentErrors);
 
         // Save state for persistence
-        if (CONFIG.PERSIST_CONTENT) {
-            this.saveState('scene', scene);
-        }
+        this.saveState('scene', scene);
 
         // Show listen button for on-demand TTS (Sprint 5.2.4)
-        if (this.listenButton) {
-            this.listenButton.show(scene);
+        this.showListenButton(scene);
+
+        const durationMs = Math.round(performance.now() - startedAt);
+        TelemetryCollector.recordRender('scene', durationMs);
+
+        if (customLayout) {
+            return {
+                status: 'fallback',
+                errorCode: 'custom_layout_failed',
+                errorMessage: layoutError || 'Custom layout failed, rendered scene fallback',
+                durationMs
+            };
+        }
+
+        if (componentErrors.length > 0) {
+            return this.componentErrorResult(componentErrors, durationMs);
+        }
+
+        return { status: 'completed', durationMs };
+    },
+
+    /**
+     * Build the fallback result for components replaced by error tiles.
+     * @param {Object[]} componentErrors - [{ id, type, message }]
+     * @param {number} durationMs - Render duration
+     * @returns {Object} Command result
+     */
+    componentErrorResult(componentErrors, durationMs) {
+        return {
+            status: 'fallback',
+            errorCode: 'component_render_error',
+            errorMessage: `${componentErrors.length} component(s) failed to render: ` +
+                componentErrors.map(e => e.id || e.type).join(', '),
+            durationMs
+        };
+    },
+
+    /**
+     * Report scene validation and component render errors to the backend.
+     * @param {string} commandId - Command that carried the scene
+     * @param {Object} scene - Scene graph
+     * @param {Object[]} validationErrors - From SceneValidator
+     * @param {Object[]} componentErrors - From SceneRenderer's error boundary
+     */
+    reportSceneIssues(commandId, scene, validationErrors, componentErrors) {
+        if (validationErrors.length === 0 && componentErrors.length === 0) return;
+        if (!this.ws) return;
+
+        // Cap the report so a badly broken scene doesn't flood the socket
+        const MAX_ERRORS = 50;
+
+        this.ws.sendSceneReport({
+            commandId,
+            sceneId: scene?.scene_id || null,
+            schemaVersion: SceneValidator.SCHEMA_VERSION,
+            validationErrors: validationErrors.slice(0, MAX_ERRORS),
+            componentErrors: componentErrors.slice(0, MAX_ERRORS)
+        });
+    },
+
+    /**
+     * Handle patch_scene command - update, add or remove components of the
+     * current scene without re-rendering it.
+     * @param {Object} params - Command parameters
+     * @param {string} commandId - Command ID (for the scene report)
+     * @returns {Object} Command result
+     */
+    handlePatchScene(params, commandId = null) {
+        const current = SceneRenderer.getCurrentScene();
+
+        if (!current) {
+            return this.commandFailed('no_scene', 'patch_scene requires a scene to be displayed');
         }
+
+        if (params?.scene_id && params.scene_id !== current.scene_id) {
+            return this.commandFailed(
+                'scene_mismatch',
+                `Patch targets scene ${params.scene_id}, displaying ${current.scene_id}`
+            );
+        }
+
+        const startedAt = performance.now();
+        const errorCountBefore = SceneRenderer.getRenderErrors().length;
+        let result;
+        try {
+            result = SceneRenderer.patchScene(params || {});
+        } catch (e) {
+            console.error('[Xentauri App] Scene patch error:', e);
+            return this.commandFailed('render_error', e.message);
+        }
+
+        console.log('[Xentauri App] Scene patched:', result);
+
+        const scene = SceneRenderer.getCurrentScene();
+
+        // Validate the patched scene and report new component failures
+        const validation = SceneValidator.validate(scene);
+        const componentErrors = SceneRenderer.getRenderErrors().slice(errorCountBefore);
+        this.reportSceneIssues(commandId, scene, validation.errors, componentErrors);
+
+        // Save state for persistence (same content, so the content id is kept)
+        this.saveState('scene', scene, false);
+
+        // Keep listen button narration in sync
+        if (this.listenButton && this.listenButton.isShowing()) {
+            this.listenButton.setScene(scene);
+        }
+
+        const durationMs = Math.round(performance.now() - startedAt);
+        TelemetryCollector.recordRender('patch', durationMs);
+
+        const problems = [];
+        if (result.missing.length > 0) {
+            problems.push(`Unknown component ids: ${result.missing.join(', ')}`);
+        }
+        if (result.skipped.length > 0) {
+            problems.push(`Added components need an id: ${result.skipped.join(', ')}`);
+        }
+
+        if (problems.length > 0) {
+            const applied = result.updated.length + result.added.length + result.removed.length;
+
+            // Nothing applied: failed. Otherwise the rest of the patch is on screen.
+            if (applied === 0) {
+                return {
+                    status: 'failed',
+                    errorCode: result.missing.length > 0 ? 'component_not_found' : 'missing_component_id',
+                    errorMessage: problems.join('; '),
+                    durationMs
+                };
+            }
+            return {
+                status: 'fallback',
+                errorCode: 'patch_partially_applied',
+                errorMessage: `Rest of the patch applied. ${problems.join('; ')}`,
+                durationMs
+            };
+        }
+
+        if (componentErrors.length > 0) {
+            return this.componentErrorResult(componentErrors, durationMs);
+        }
+
+        return { status: 'completed', durationMs };
+    },
+
+    /**
+     * Handle update_component command - shorthand for a single-component patch.
+     * @returns {Object} Command result
+     */
+    handleUpdateComponent(params, commandId = null) {
+        const id = params?.component_id || params?.id;
+
+        if (!id) {
+            return this.commandFailed('missing_component_id', 'update_component requires component_id');
+        }
+
+        return this.handlePatchScene({
+            scene_id: params.scene_id,
+            update: [{
+                id,
+                data: params.data,
+                props: params.props,
+                style: params.style,
+                position: params.position
+            }]
+        }, commandId);
     },
 
     /**
@@ -525,47 +1158,29 @@ const XentauriApp = {
 
         if (!url) {
             console.error('[Xentauri App] show_content: No URL');
-            return;
+            return this.commandFailed('missing_url', 'show_content requires a url');
         }
 
         console.log('[Xentauri App] Showing content:', contentType, url);
 
-        // Clear current scene
-        SceneRenderer.clear();
-
-        // Create iframe for URL content
-        const iframe = document.createElement('iframe');
-        iframe.style.cssText = `
-            width: 100%;
-            height: 100%;
-            border: none;
-            position: absolute;
-            top: 0;
-            left: 0;
-        `;
-
         // Handle relative URLs
         let fullUrl = url;
         if (url.startsWith('/')) {
             fullUrl = CONFIG.BACKEND_URL + url;
         }
 
-        iframe.src = fullUrl;
-        this.elements.displayContainer.appendChild(iframe);
+        SceneRenderer.showUrl(fullUrl, this.transitionOptions(params));
 
         // Save state
-        if (CONFIG.PERSIST_CONTENT) {
-            this.saveState('content', { url: fullUrl, contentType });
-        }
+        this.saveState('content', { url: fullUrl, contentType });
     },
 
     /**
      * Handle clear_content command.
      */
-    handleClearContent() {
+    handleClearContent(params) {
         console.log('[Xentauri App] Clearing content');
-        SceneRenderer.clear();
-        SceneRenderer.showIdleScreen();
+        SceneRenderer.showIdleScreen(this.transitionOptions(params));
 
         // Hide listen button
         if (this.listenButton) {
@@ -573,6 +1188,7 @@ const XentauriApp = {
         }
 
         // Clear saved state
+        this.state.content = null;
         if (CONFIG.PERSIST_CONTENT) {
             Helpers.clearStorage(CONFIG.STORAGE_KEY);
         }
@@ -586,10 +1202,269 @@ const XentauriApp = {
         this.handleClearContent();
     },
 
+    // -------------------------------------------------------------------------
+    // Playlists
+    // -------------------------------------------------------------------------
+
+    /**
+     * Handle display_playlist command - rotate through scenes, custom
+     * layouts and URLs (see PlaylistPlayer for the format).
+     */
+    handleDisplayPlaylist(params) {
+        const { playlist, error } = PlaylistPlayer.normalize(params);
+        if (error) {
+            console.error('[Xentauri App] display_playlist:', error);
+            return this.commandFailed('invalid_playlist', error);
+        }
+
+        // New content: new content id, saved before the first item renders
+        this.saveState('playlist', { playlist, position: { index: 0, loopsDone: 0 } });
+        this.startPlaylist(playlist);
+        return { status: 'completed' };
+    },
+
+    /**
+     * Start (or resume) a normalized playlist.
+     * @param {Object} playlist - From PlaylistPlayer.normalize()
+     * @param {Object} position - Optional { index, loopsDone, finished }
+     */
+    startPlaylist(playlist, position = {}) {
+        PlaylistPlayer.start(playlist, {
+            renderItem: (item) => this.renderPlaylistItem(item),
+            showIdle: () => {
+                SceneRenderer.showIdleScreen();
+                if (this.listenButton) {
+                    this.listenButton.hide();
+                }
+            },
+            onAdvance: (status) => {
+                // Same content, new position: keep the content id
+                this.saveState('playlist', {
+                    playlist,
+                    position: { index: Math.max(0, status.item_index), loopsDone: status.loops_done, finished: status.finished }
+                }, false);
+            }
+        }, position);
+    },
+
+    /**
+     * Render one playlist item through the matching command handler.
+     * @param {Object} item - Normalized playlist item
+     */
+    renderPlaylistItem(item) {
+        this.renderingPlaylistItem = true;
+        try {
+            const transition = { transition: item.transition, transition_duration: item.transition_duration };
+            if (item.type === 'url') {
+                this.handleShowContent({ url: item.url, content_type: item.content_type, ...transition });
+            } else {
+                this.handleDisplayScene({
+                    scene: item.scene,
+                    custom_layout: item.type === 'custom_layout' ? item.custom_layout : undefined,
+                    render_mode: item.render_mode,
+                    ...transition
+                });
+            }
+        } finally {
+            this.renderingPlaylistItem = false;
+        }
+    },
+
+    /**
+     * Handle capture_screenshot command - rasterize the display and send it
+     * back over the WebSocket, or POST it to parameters.upload_url.
+     * Parameters: { format: 'png'|'jpeg', scale, quality, upload_url, upload_headers }
+     */
+    async handleCaptureScreenshot(params, commandId) {
+        const startedAt = performance.now();
+
+        let screenshot;
+        try {
+            screenshot = await ScreenCapture.capture(this.elements.displayContainer, {
+                format: params?.format,
+                scale: params?.scale,
+                quality: params?.quality
+            });
+        } catch (e) {
+            console.error('[Xentauri App] Screenshot capture failed:', e);
+            return this.commandFailed('capture_failed', e.message);
+        }
+
+        if (params?.upload_url) {
+            try {
+                await ScreenCapture.upload(screenshot, params.upload_url, params.upload_headers || {});
+            } catch (e) {
+                console.error('[Xentauri App] Screenshot upload failed:', e);
+                return this.commandFailed('upload_failed', e.message);
+            }
+        } else {
+            const data = await ScreenCapture.toBase64(screenshot.blob);
+            if (!this.ws || !this.ws.sendScreenshot(commandId, { ...screenshot, data })) {
+                return this.commandFailed('send_failed', 'Could not send screenshot over the WebSocket');
+            }
+        }
+
+        return { status: 'completed', durationMs: Math.round(performance.now() - startedAt) };
+    },
+
+    /**
+     * Handle set_config command - apply whitelisted settings at runtime.
+     * Parameters: { settings: { CLOCK_FORMAT: '24h', ... }, reset: true | [paths] }
+     * The effective config is reported back in a config_report message.
+     */
+    handleSetConfig(params, commandId) {
+        const result = ConfigLoader.applyRemote(params?.settings || {}, params?.reset || false);
+        console.log('[Xentauri App] Config updated:', result);
+
+        if (result.changed.length > 0) {
+            this.applyConfigChanges(result.changed);
+        }
+
+        if (this.ws) {
+            this.ws.sendConfigReport({
+                commandId,
+                ...ConfigLoader.getRemoteConfig(),
+                applied: result.applied,
+                rejected: result.rejected
+            });
+        }
+
+        if (result.rejected.length > 0 && result.applied.length === 0) {
+            const details = result.rejected.map(r => `${r.path}: ${r.error}`).join('; ');
+            return this.commandFailed('invalid_config', details);
+        }
+        return { status: 'completed' };
+    },
+
+    /**
+     * Handle set_theme command - choose the device theme (persisted like
+     * set_config). Scenes and components can still override it.
+     * Parameters: { theme: 'dark' | 'light' | 'high-contrast' | <brand> | 'auto',
+     *   auto: { mode: 'sun' | 'schedule', light, dark, latitude, longitude,
+     *           light_start: 'HH:MM', dark_start: 'HH:MM' } }
+     */
+    handleSetTheme(params = {}) {
+        const { theme, auto = {} } = params;
+        const settings = {};
+
+        if (theme !== undefined) {
+            if (theme !== 'auto' && !ThemeManager.isTheme(theme)) {
+                return this.commandFailed('invalid_theme',
+                    `Unknown theme "${theme}" (expected auto, ${ThemeManager.getThemes().join(', ')})`);
+            }
+            settings['THEME.NAME'] = theme;
+        }
+
+        const autoSettings = {
+            mode: 'THEME.AUTO_MODE',
+            light: 'THEME.LIGHT',
+            dark: 'THEME.DARK',
+            latitude: 'THEME.LATITUDE',
+            longitude: 'THEME.LONGITUDE',
+            light_start: 'THEME.LIGHT_START',
+            dark_start: 'THEME.DARK_START'
+        };
+        Object.entries(autoSettings).forEach(([key, path]) => {
+            if (auto[key] !== undefined) settings[path] = auto[key];
+        });
+
+        if (Object.keys(settings).length === 0) {
+            return this.commandFailed('invalid_theme', 'set_theme requires theme or auto');
+        }
+
+        const result = ConfigLoader.applyRemote(settings);
+        if (result.rejected.length > 0) {
+            // Keep what was valid, but report the command as failed
+            if (result.changed.length > 0) {
+                this.applyConfigChanges(result.changed);
+            }
+            const details = result.rejected.map(r => `${r.path}: ${r.error}`).join('; ');
+            return this.commandFailed('invalid_theme', details);
+        }
+
+        this.applyConfigChanges(result.changed);
+        console.log('[Xentauri App] Theme set:', ThemeManager.getStatus());
+        return { status: 'completed' };
+    },
+
+    /**
+     * Push changed settings into running components and timers.
+     * @param {string[]} paths - Setting paths whose effective value changed
+     */
+    applyConfigChanges(paths) {
+        const changed = (setting) => paths.some(p => p === setting || p.startsWith(`${setting}.`));
+
+        if (changed('CLOCK_FORMAT')) {
+            SceneRenderer.refreshComponents(['clock_digital']);
+        }
+
+        if (changed('WEATHER_UNITS')) {
+            SceneRenderer.refreshComponents(['weather_current', 'weather_forecast']);
+        }
+
+        if (changed('THEME')) {
+            ThemeManager.apply();
+        }
+
+        if (changed('LOCALE')) {
+            SceneRenderer.refreshComponents();
+            if (this.listenButton) {
+                this.listenButton.refreshLabels();
+            }
+            if (SceneRenderer.isIdle()) {
+                SceneRenderer.showIdleScreen({ transition: 'none' });
+            }
+        }
+
+        if (changed('SPEECH_LOCALE') && this.listenButton) {
+            this.listenButton.refreshLabels();
+        }
+
+        if (changed('HEARTBEAT_INTERVAL') && this.ws?.connected) {
+            this.ws.startHeartbeat();
+        }
+
+        if (changed('TELEMETRY') && this.ws?.connected) {
+            this.ws.startTelemetry();
+        }
+
+        if (changed('LOADING_TIMEOUT') && this.thinkingIndicator) {
+            this.thinkingIndicator.timeoutDuration = CONFIG.LOADING_TIMEOUT;
+        }
+
+        if (changed('DEVICE_NAME') && SceneRenderer.isIdle()) {
+            SceneRenderer.showIdleScreen({ transition: 'none' });
+        }
+
+        if (changed('ELEVENLABS')) {
+            const scene = SceneRenderer.getCurrentScene();
+            if (scene) {
+                this.showListenButton(scene);
+            } else if (this.listenButton) {
+                this.listenButton.hide();
+            }
+        }
+    },
+
     // -------------------------------------------------------------------------
     // TTS Narration (Eleven Labs)
     // -------------------------------------------------------------------------
 
+    /**
+     * Show the listen button for a scene, or hide it when TTS is off
+     * (disabled, unconfigured or switched off by the server).
+     * @param {Object} scene - Scene to narrate
+     */
+    showListenButton(scene) {
+        if (!this.listenButton) return;
+
+        if (this.isFeatureEnabled('tts')) {
+            this.listenButton.show(scene);
+        } else {
+            this.listenButton.hide();
+        }
+    },
+
     /**
      * Narrate a scene using Eleven Labs TTS (streaming).
      * @param {Object} scene - Scene data to narrate
@@ -619,10 +1494,26 @@ const XentauriApp = {
     // -------------------------------------------------------------------------
 
     /**
-     * Save current state to localStorage.
+     * Record what's on screen and save it to localStorage (if PERSIST_CONTENT).
+     * Each new piece of content gets an id, used by expiring commands to
+     * check that their content is still showing before reverting it.
+     * @param {string} type - 'scene', 'custom_layout' or 'content'
+     * @param {Object} data - Content data
+     * @param {boolean} replaced - False for in-place changes (patches) that keep the id
      */
-    saveState(type, data) {
-        Helpers.saveToStorage(CONFIG.STORAGE_KEY, { type, data });
+    saveState(type, data, replaced = true) {
+        // A playlist item is part of the playlist state, not content of its own
+        if (this.renderingPlaylistItem) return;
+
+        const id = replaced || !this.state.content
+            ? `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`
+            : this.state.content.id;
+
+        this.state.content = { type, data, id };
+
+        if (CONFIG.PERSIST_CONTENT) {
+            Helpers.saveToStorage(CONFIG.STORAGE_KEY, this.state.content);
+        }
     },
 
     /**
@@ -634,11 +1525,25 @@ const XentauriApp = {
 
         if (!saved) return;
 
+        // A playlist that's still running keeps its position across reconnects
+        if (saved.type === 'playlist' && PlaylistPlayer.isPlaying() && saved.id === this.state.content?.id) {
+            return;
+        }
+
         console.log('[Xentauri App] Restoring saved state:', saved.type);
+        this.showSavedContent(saved);
+    },
 
+    /**
+     * Render a saved content state ({ type, data, id }) and make it current.
+     * @param {Object} saved - State from saveState
+     */
+    showSavedContent(saved) {
         if (saved.type === 'custom_layout' && saved.data?.customLayout) {
             // Restore custom layout with scene fallback
-            const success = SceneRenderer.renderCustomLayout(saved.data.customLayout, saved.data.scene);
+            const success = SceneRenderer.renderCustomLayout(saved.data.customLayout, saved.data.scene, {
+                mode: saved.data.renderMode
+            });
             if (!success && saved.data.scene) {
                 SceneRenderer.render(saved.data.scene);
             }
@@ -646,6 +1551,16 @@ const XentauriApp = {
             SceneRenderer.render(saved.data);
         } else if (saved.type === 'content' && saved.data?.url) {
             this.handleShowContent(saved.data);
+        } else if (saved.type === 'playlist' && saved.data?.playlist) {
+            this.startPlaylist(saved.data.playlist, saved.data.position);
+        } else {
+            return;
+        }
+
+        // Keep the original content id (handleShowContent assigned a new one)
+        this.state.content = saved;
+        if (CONFIG.PERSIST_CONTENT) {
+            Helpers.saveToStorage(CONFIG.STORAGE_KEY, saved);
         }
     },
 
@@ -717,8 +1632,9 @@ const XentauriApp = {
             this.ws = null;
         }
 
-        // Clear pairing data
+        // Clear pairing data and anything scheduled for this device
         PairingService.unpair();
+        CommandScheduler.clear();
 
         // Reset state
         this.state.paired = false;
@@ -804,8 +1720,13 @@ const XentauriApp = {
             reconnecting: this.state.reconnecting,
             hasScene: SceneRenderer.hasScene(),
             currentScene: SceneRenderer.getCurrentScene()?.scene_id,
+            layoutResources: SceneRenderer.getLayoutResourceStats(),
+            plugins: ComponentRegistry.pluginStatus,
+            telemetry: TelemetryCollector.collect(this.getContentStatus()),
+            features: { local: this.getLocalFeatures(), negotiated: this.features },
             wsStatus: this.ws?.getStatus()
         });
+        ConfigLoader.dump();
     }
 };
 
@@ -813,11 +1734,14 @@ const XentauriApp = {
 // Application Bootstrap
 // -------------------------------------------------------------------------
 
-// Initialize when DOM is ready
+// Initialize when DOM is ready, after runtime config (config.json) has loaded
+const configReady = ConfigLoader.load();
+const startApp = () => configReady.then(() => XentauriApp.init());
+
 if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', () => XentauriApp.init());
+    document.addEventListener('DOMContentLoaded', startApp);
 } else {
-    XentauriApp.init();
+    startApp();
 }
 
 // Make globally available for debugging
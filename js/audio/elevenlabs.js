@@ -377,7 +377,29 @@ const ElevenLabsService = {
         const data = component.data || {};
         const props = component.props || {};
 
+        // Mounted lifecycle components can provide their own speech text
+        if (component.id && window.SceneRenderer && window.ComponentLifecycle) {
+            const narration = ComponentLifecycle.narrate(SceneRenderer.getComponentInstance(component.id));
+            if (narration) {
+                return narration;
+            }
+        }
+
+        // Plugin components register their own speech formatter
+        const formatter = window.ComponentRegistry && ComponentRegistry.getSpeechFormatter(type);
+        if (formatter) {
+            try {
+                return formatter(data, props) || null;
+            } catch (e) {
+                console.error(`[ElevenLabs] Speech formatter error for ${type}:`, e);
+                return null;
+            }
+        }
+
         switch (type) {
+            case 'container':
+                return this.extractContentFromScene(component) || null;
+
             case 'text_block':
                 return data.content || props.content || null;
 
@@ -406,27 +428,29 @@ const ElevenLabsService = {
         }
     },
 
+    // Speech text is in the speech locale (narrateScene, see I18n)
+
     formatCalendarForSpeech(data) {
         if (!data.events || data.events.length === 0) {
-            return 'No hay eventos programados.';
+            return I18n.t('speech.calendar_empty');
         }
 
-        const parts = ['Tus próximos eventos:'];
+        const parts = [I18n.t('speech.calendar_intro')];
         for (const event of data.events.slice(0, 5)) {
-            const time = event.start_time || event.time || '';
-            const title = event.title || event.summary || 'Evento sin título';
+            const time = Helpers.formatTime(event.start_time || event.start) || event.start_time || event.time || '';
+            const title = event.title || event.summary || I18n.t('speech.untitled_event');
             parts.push(`${time}: ${title}`);
         }
         return parts.join('\n');
     },
 
     formatWeatherForSpeech(data) {
-        const location = data.location || 'tu ubicación';
+        const location = data.location || I18n.t('speech.your_location');
         const temp = data.temperature || data.temp;
         const condition = data.condition || data.description || '';
 
         if (temp) {
-            return `El clima en ${location}: ${temp} grados, ${condition}.`;
+            return I18n.t('speech.weather', { location, temperature: temp, condition });
         }
         return null;
     },
@@ -436,36 +460,36 @@ const ElevenLabsService = {
             return null;
         }
 
-        const parts = ['Pronóstico del tiempo:'];
+        const parts = [I18n.t('speech.forecast_intro')];
         for (const day of data.forecast.slice(0, 3)) {
-            const dayName = day.day || day.date || '';
-            const high = day.high || day.max_temp || '';
-            const low = day.low || day.min_temp || '';
-            const condition = day.condition || '';
-            parts.push(`${dayName}: máxima ${high}, mínima ${low}, ${condition}`);
+            parts.push(I18n.t('speech.forecast_day', {
+                day: day.day || (day.date ? Helpers.formatDate(day.date, { weekday: 'long' }) : ''),
+                high: day.high || day.max_temp || '',
+                low: day.low || day.min_temp || '',
+                condition: day.condition || ''
+            }));
         }
         return parts.join('\n');
     },
 
     formatCountdownForSpeech(data) {
-        const eventName = data.event_name || data.title || 'el evento';
+        const eventName = data.event_name || data.title || I18n.t('speech.the_event');
         const remaining = data.remaining || data.time_remaining || '';
 
         if (remaining) {
-            return `Faltan ${remaining} para ${eventName}.`;
+            return I18n.t('speech.countdown', { remaining, event: eventName });
         }
         return null;
     },
 
     formatMeetingForSpeech(data) {
-        const title = data.title || 'Reunión';
-        const time = data.start_time || data.time || '';
+        const title = data.title || I18n.t('speech.meeting');
+        const time = Helpers.formatTime(data.start_time) || data.start_time || data.time || '';
         const attendees = data.attendees || [];
 
-        let text = `${title}`;
-        if (time) text += ` a las ${time}`;
+        let text = time ? I18n.t('speech.meeting_at', { title, time }) : title;
         if (attendees.length > 0) {
-            text += `. Participantes: ${attendees.slice(0, 3).join(', ')}`;
+            text += `. ${I18n.t('speech.attendees', { names: attendees.slice(0, 3).join(', ') })}`;
         }
         return text;
     },
@@ -519,7 +543,7 @@ const ElevenLabsService = {
             return -1;
         }
 
-        let content = this.extractContentFromScene(scene);
+        let content = I18n.withLocale(I18n.getSpeechLocale(), () => this.extractContentFromScene(scene));
 
         if (!content) {
             console.log('[ElevenLabs] No content to narrate');
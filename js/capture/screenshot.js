@@ -0,0 +1,357 @@
+/* =============================================================================
+   XENTAURI PI SCREEN - Screenshot Capture
+   ============================================================================= */
+
+/**
+ * Rasterizes the display to PNG/JPEG without browser extensions.
+ *
+ * The element is cloned together with the page's stylesheets into an SVG
+ * <foreignObject>, loaded as an image and drawn to a canvas. Content the
+ * clone can't carry is handled separately:
+ * - canvases become <img> copies of their current pixels
+ * - images are inlined as data URLs where CORS allows
+ * - the sandboxed custom layout iframe is asked for a snapshot of its own
+ *   document (LayoutSandbox.snapshot) and drawn as a separate layer
+ * - other iframes (web_embed, show_content) are cross-origin and show as
+ *   a placeholder
+ */
+const ScreenCapture = {
+    FORMATS: {
+        png: 'image/png',
+        jpeg: 'image/jpeg'
+    },
+
+    MIN_SCALE: 0.1,
+    MAX_SCALE: 2,
+
+    // Per-resource timeouts (ms)
+    IMAGE_TIMEOUT: 5000,
+    SNAPSHOT_TIMEOUT: 3000,
+
+    XHTML_NS: 'http://www.w3.org/1999/xhtml',
+
+    // -------------------------------------------------------------------------
+    // Capture
+    // -------------------------------------------------------------------------
+
+    /**
+     * Capture an element.
+     * @param {Element} element - Element to capture (e.g. display-container)
+     * @param {Object} options - { format: 'png'|'jpeg', scale, quality }
+     * @returns {Promise<Object>} { blob, mimeType, format, width, height }
+     */
+    async capture(element, options = {}) {
+        if (!element) {
+            throw new Error('Nothing to capture');
+        }
+
+        const format = this.FORMATS[options.format] ? options.format : CONFIG.SCREENSHOT.DEFAULT_FORMAT;
+        const mimeType = this.FORMATS[format];
+        const scale = Math.min(this.MAX_SCALE, Math.max(this.MIN_SCALE,
+            Number(options.scale) || CONFIG.SCREENSHOT.DEFAULT_SCALE));
+        const quality = Number(options.quality) || CONFIG.SCREENSHOT.QUALITY;
+
+        const rect = element.getBoundingClientRect();
+        const width = Math.round(rect.width) || window.innerWidth;
+        const height = Math.round(rect.height) || window.innerHeight;
+
+        // Layers drawn over the base image ({ image, x, y, width, height })
+        const layers = [];
+        const clone = await this._cloneElement(element, rect, layers);
+        const base = await this._loadImage(this._elementToSvg(clone, width, height));
+
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(width * scale);
+        canvas.height = Math.round(height * scale);
+
+        const ctx = canvas.getContext('2d');
+        ctx.scale(scale, scale);
+        ctx.fillStyle = this._backgroundColor(element);
+        ctx.fillRect(0, 0, width, height);
+        ctx.drawImage(base, 0, 0, width, height);
+        layers.forEach(layer => ctx.drawImage(layer.image, layer.x, layer.y, layer.width, layer.height));
+
+        const blob = await new Promise((resolve, reject) => {
+            canvas.toBlob(result => {
+                if (result) resolve(result);
+                else reject(new Error('Canvas export failed'));
+            }, mimeType, quality);
+        });
+
+        Helpers.debug('ScreenCapture', `Captured ${canvas.width}x${canvas.height} ${format}`, { bytes: blob.size });
+        return { blob, mimeType, format, width: canvas.width, height: canvas.height };
+    },
+
+    /**
+     * Upload a capture with an HTTP POST (body = raw image bytes).
+     * @param {Object} screenshot - Result of capture()
+     * @param {string} url - Upload URL (relative URLs use CONFIG.BACKEND_URL)
+     * @param {Object} headers - Extra request headers (e.g. authorization)
+     * @returns {Promise<void>}
+     */
+    async upload(screenshot, url, headers = {}) {
+        const fullUrl = url.startsWith('/') ? CONFIG.BACKEND_URL + url : url;
+
+        const response = await fetch(fullUrl, {
+            method: 'POST',
+            headers: { ...headers, 'Content-Type': screenshot.mimeType },
+            body: screenshot.blob
+        });
+
+        if (!response.ok) {
+            throw new Error(`Upload failed: HTTP ${response.status}`);
+        }
+    },
+
+    /**
+     * Encode a blob as base64 (without the data: prefix).
+     * @param {Blob} blob - Image blob
+     * @returns {Promise<string>} Base64 data
+     */
+    toBase64(blob) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(String(reader.result).split(',')[1] || '');
+            reader.onerror = () => reject(new Error('Failed to encode screenshot'));
+            reader.readAsDataURL(blob);
+        });
+    },
+
+    // -------------------------------------------------------------------------
+    // Cloning
+    // -------------------------------------------------------------------------
+
+    /**
+     * Deep-clone an element and replace what an SVG image can't render.
+     * @param {Element} element - Source element
+     * @param {DOMRect} rootRect - Bounds of the captured element
+     * @param {Object[]} layers - Receives separately rendered layers
+     * @returns {Promise<Element>} Prepared clone
+     */
+    async _cloneElement(element, rootRect, layers) {
+        const clone = element.cloneNode(true);
+        const sources = [element, ...element.querySelectorAll('*')];
+        const targets = [clone, ...clone.querySelectorAll('*')];
+        const tasks = [];
+
+        sources.forEach((source, i) => {
+            const target = targets[i];
+
+            switch (source.tagName) {
+                case 'SCRIPT':
+                    target.remove();
+                    break;
+
+                case 'CANVAS':
+                case 'VIDEO':
+                    target.replaceWith(this._canvasImage(source));
+                    break;
+
+                case 'IFRAME':
+                    target.replaceWith(this._placeholder(source, source === LayoutSandbox.iframe));
+                    if (source === LayoutSandbox.iframe) {
+                        tasks.push(this._captureSandbox(source, rootRect, layers));
+                    }
+                    break;
+
+                case 'IMG':
+                    tasks.push(this._inlineImage(source, target));
+                    break;
+            }
+        });
+
+        await Promise.all(tasks);
+
+        // The clone is positioned by the SVG wrapper, not by page layout
+        clone.style.position = 'relative';
+        clone.style.inset = 'auto';
+        clone.style.width = '100%';
+        clone.style.height = '100%';
+
+        return clone;
+    },
+
+    /**
+     * Copy the current pixels of a canvas or video frame into an <img>.
+     */
+    _canvasImage(source) {
+        const img = document.createElement('img');
+        img.className = source.className;
+        img.style.cssText = source.style.cssText;
+        img.style.width = `${source.clientWidth}px`;
+        img.style.height = `${source.clientHeight}px`;
+
+        try {
+            let canvas = source;
+            if (source.tagName === 'VIDEO') {
+                canvas = document.createElement('canvas');
+                canvas.width = source.videoWidth;
+                canvas.height = source.videoHeight;
+                canvas.getContext('2d').drawImage(source, 0, 0);
+            }
+            img.src = canvas.toDataURL();
+        } catch (e) {
+            // Tainted (cross-origin) content: leave the image empty
+        }
+
+        return img;
+    },
+
+    /**
+     * Build a box standing in for an iframe.
+     * @param {HTMLIFrameElement} iframe - Source iframe
+     * @param {boolean} transparent - True if a layer will be drawn over it
+     */
+    _placeholder(iframe, transparent) {
+        const box = document.createElement('div');
+        box.className = iframe.className;
+        box.style.cssText = iframe.style.cssText;
+        box.style.width = `${iframe.clientWidth}px`;
+        box.style.height = `${iframe.clientHeight}px`;
+
+        if (!transparent) {
+            box.style.display = 'flex';
+            box.style.alignItems = 'center';
+            box.style.justifyContent = 'center';
+            box.style.background = 'rgba(255, 255, 255, 0.05)';
+            box.style.color = 'rgba(255, 255, 255, 0.5)';
+            box.textContent = 'Embedded content';
+        }
+
+        return box;
+    },
+
+    /**
+     * Render the sandboxed layout's own snapshot as a layer.
+     */
+    async _captureSandbox(iframe, rootRect, layers) {
+        const rect = iframe.getBoundingClientRect();
+
+        try {
+            const html = await LayoutSandbox.snapshot(this.SNAPSHOT_TIMEOUT);
+            const image = await this._loadImage(this._documentToSvg(html, rect.width, rect.height));
+            layers.push({
+                image,
+                x: rect.left - rootRect.left,
+                y: rect.top - rootRect.top,
+                width: rect.width,
+                height: rect.height
+            });
+        } catch (e) {
+            console.warn('[ScreenCapture] Custom layout snapshot failed:', e.message);
+        }
+    },
+
+    /**
+     * Replace an image's src with a data URL (external images don't load
+     * inside SVG images). Failures leave the original src.
+     */
+    async _inlineImage(source, target) {
+        const src = source.currentSrc || source.src;
+        if (!src || src.startsWith('data:')) return;
+
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.IMAGE_TIMEOUT);
+
+        try {
+            const response = await fetch(src, { signal: controller.signal });
+            if (!response.ok) return;
+
+            const blob = await response.blob();
+            target.removeAttribute('srcset');
+            target.src = `data:${blob.type};base64,${await this.toBase64(blob)}`;
+        } catch (e) {
+            Helpers.debug('ScreenCapture', `Could not inline image ${src}`, e.message);
+        } finally {
+            clearTimeout(timer);
+        }
+    },
+
+    // -------------------------------------------------------------------------
+    // SVG Rendering
+    // -------------------------------------------------------------------------
+
+    /**
+     * Wrap a cloned element and the page CSS in an SVG data URL.
+     */
+    _elementToSvg(clone, width, height) {
+        const body = getComputedStyle(document.body);
+
+        const wrapper = document.createElementNS(this.XHTML_NS, 'div');
+        wrapper.style.cssText = `
+            width: ${width}px;
+            height: ${height}px;
+            overflow: hidden;
+            font-family: ${body.fontFamily};
+            color: ${body.color};
+        `;
+
+        const style = document.createElementNS(this.XHTML_NS, 'style');
+        style.textContent = this._collectCss();
+
+        wrapper.appendChild(style);
+        wrapper.appendChild(clone);
+
+        return this._svgDataUrl(new XMLSerializer().serializeToString(wrapper), width, height);
+    },
+
+    /**
+     * Turn a full HTML document (layout snapshot) into an SVG data URL.
+     */
+    _documentToSvg(html, width, height) {
+        const doc = new DOMParser().parseFromString(html, 'text/html');
+        doc.querySelectorAll('script, meta[http-equiv]').forEach(el => el.remove());
+        doc.documentElement.style.width = `${width}px`;
+        doc.documentElement.style.height = `${height}px`;
+
+        return this._svgDataUrl(new XMLSerializer().serializeToString(doc.documentElement), width, height);
+    },
+
+    _svgDataUrl(xhtml, width, height) {
+        const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">` +
+            `<foreignObject x="0" y="0" width="100%" height="100%">${xhtml}</foreignObject></svg>`;
+        return `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+    },
+
+    /**
+     * Concatenate the rules of every readable stylesheet on the page.
+     */
+    _collectCss() {
+        return Array.from(document.styleSheets).map(sheet => {
+            try {
+                return Array.from(sheet.cssRules).map(rule => rule.cssText).join('\n');
+            } catch (e) {
+                return '';  // Cross-origin stylesheet
+            }
+        }).join('\n');
+    },
+
+    /**
+     * Load an image URL.
+     * @returns {Promise<HTMLImageElement>}
+     */
+    _loadImage(url) {
+        return new Promise((resolve, reject) => {
+            const img = new Image();
+            img.onload = () => resolve(img);
+            img.onerror = () => reject(new Error('Failed to rasterize content'));
+            img.src = url;
+        });
+    },
+
+    /**
+     * First non-transparent background up the tree (for the canvas fill).
+     */
+    _backgroundColor(element) {
+        for (let el = element; el; el = el.parentElement) {
+            const color = getComputedStyle(el).backgroundColor;
+            if (color && color !== 'transparent' && color !== 'rgba(0, 0, 0, 0)') {
+                return color;
+            }
+        }
+        return '#000000';
+    }
+};
+
+// Make globally available
+window.ScreenCapture = ScreenCapture;
@@ -0,0 +1,577 @@
+/* =============================================================================
+   XENTAURI PI SCREEN - Runtime Configuration Loader
+   ============================================================================= */
+
+/**
+ * Layers runtime overrides on top of the defaults in config.js.
+ *
+ * Precedence (lowest to highest):
+ *   1. default      - js/config.js
+ *   2. config.json  - optional file served next to index.html
+ *   3. localStorage - JSON object stored under STORAGE_KEY
+ *   4. url          - query parameters (?debug=false&clock=24h), URL_SETTINGS only
+ *
+ * FILE_ONLY settings (backend, custom layout, plugins, API keys) are only
+ * taken from config.json: anything that can write the URL or localStorage
+ * must not be able to redirect the device or load code into it.
+ *
+ * Overrides use CONFIG key paths, nested ({ "CUSTOM_LAYOUT": { "MODE": "sandboxed" } })
+ * or dotted ({ "CUSTOM_LAYOUT.MODE": "sandboxed" }). Each value must match the
+ * type of its default plus the RULES below; unknown or invalid values are
+ * skipped with a warning so a bad override can't brick a device.
+ *
+ * CONFIG is updated in place, so getters like WS_URL follow BACKEND_URL.
+ */
+const ConfigLoader = {
+    // Optional config file, relative to index.html
+    CONFIG_URL: 'config.json',
+    FETCH_TIMEOUT: 3000,
+
+    // localStorage key for device overrides
+    STORAGE_KEY: 'xentauri_config_overrides',
+
+    // Short query parameter names
+    QUERY_ALIASES: {
+        debug: 'DEBUG',
+        clock: 'CLOCK_FORMAT',
+        locale: 'LOCALE',
+        units: 'WEATHER_UNITS'
+    },
+
+    // Constraints beyond "same type as the default"
+    RULES: {
+        BACKEND_URL: { pattern: /^https?:\/\/[^\s/]+/ },
+        CLOCK_FORMAT: { enum: ['12h', '24h'] },
+        LOCALE: { pattern: /^[A-Za-z]{2,3}(-[A-Za-z0-9]{2,8})*$/ },
+        SPEECH_LOCALE: { pattern: /^([A-Za-z]{2,3}(-[A-Za-z0-9]{2,8})*)?$/ },
+        WEATHER_UNITS: { enum: ['fahrenheit', 'celsius'] },
+        HEARTBEAT_INTERVAL: { min: 1000 },
+        'TELEMETRY.INTERVAL': { min: 5000 },
+        LOADING_TIMEOUT: { min: 1000 },
+        'RECONNECT.BASE_DELAY': { min: 0 },
+        'RECONNECT.MAX_DELAY': { min: 0 },
+        'RECONNECT.MULTIPLIER': { min: 1 },
+        'RECONNECT.JITTER': { min: 0, max: 1 },
+        'CUSTOM_LAYOUT.MODE': { enum: ['demo', 'sandboxed'] },
+        'TRANSITIONS.DEFAULT': { enum: ['none', 'fade', 'slide', 'zoom'] },
+        'TRANSITIONS.DURATION': { min: 0, max: 5000 },
+        'TRANSITIONS.READY_TIMEOUT': { min: 0 },
+        'THEME.NAME': { pattern: /^[a-z0-9-]+$/ },
+        'THEME.AUTO_MODE': { enum: ['sun', 'schedule'] },
+        'THEME.LIGHT': { pattern: /^[a-z0-9-]+$/ },
+        'THEME.DARK': { pattern: /^[a-z0-9-]+$/ },
+        'THEME.LATITUDE': { type: ['number', 'null'], min: -90, max: 90 },
+        'THEME.LONGITUDE': { type: ['number', 'null'], min: -180, max: 180 },
+        'THEME.LIGHT_START': { pattern: /^([01]?\d|2[0-3]):[0-5]\d$/ },
+        'THEME.DARK_START': { pattern: /^([01]?\d|2[0-3]):[0-5]\d$/ },
+        'COMMANDS.HISTORY_SIZE': { min: 1, max: 1000 },
+        'COMMANDS.MAX_AGE': { min: 0 },
+        'OUTBOX.MAX_MESSAGES': { min: 1, max: 1000 },
+        'SCREENSHOT.DEFAULT_FORMAT': { enum: ['png', 'jpeg'] },
+        'SCREENSHOT.DEFAULT_SCALE': { min: 0.1, max: 2 },
+        'SCREENSHOT.QUALITY': { min: 0, max: 1 },
+        'SCREENSHOT.CHUNK_SIZE': { min: 1024 },
+        'PLUGINS.SCRIPTS': { items: 'string' },
+        'PLUGINS.LOAD_TIMEOUT': { min: 0 },
+        'ELEVENLABS.NARRATE_COMPONENTS': { type: ['array', 'null'], items: 'string' }
+    },
+
+    // Settings that identify stored device data and can't be overridden
+    LOCKED: [
+        'STORAGE_KEY_AGENT_ID',
+        'STORAGE_KEY',
+        'OUTBOX.STORAGE_KEY',
+        'COMMANDS.HISTORY_STORAGE_KEY',
+        'SCHEDULER.STORAGE_KEY',
+        'CLIENT_VERSION',
+        'PROTOCOL_VERSION'
+    ],
+
+    // Settings only read from config.json (a prefix covers its block)
+    FILE_ONLY: [
+        'BACKEND_URL',
+        'CUSTOM_LAYOUT',
+        'PLUGINS',
+        'ELEVENLABS.API_KEY'
+    ],
+
+    // Settings the URL may override (a prefix covers its block)
+    URL_SETTINGS: [
+        'DEBUG',
+        'CLOCK_FORMAT',
+        'LOCALE',
+        'SPEECH_LOCALE',
+        'WEATHER_UNITS',
+        'DEVICE_NAME',
+        'THEME',
+        'TRANSITIONS'
+    ],
+
+    // Settings masked in the debug dump and config reports
+    SECRETS: ['ELEVENLABS.API_KEY'],
+
+    // Settings the backend may change with set_config (a prefix covers its block)
+    REMOTE_SETTINGS: [
+        'CLOCK_FORMAT',
+        'LOCALE',
+        'SPEECH_LOCALE',
+        'WEATHER_UNITS',
+        'DEVICE_NAME',
+        'LOADING_TIMEOUT',
+        'HEARTBEAT_INTERVAL',
+        'TELEMETRY',
+        'THEME',
+        'ELEVENLABS'
+    ],
+
+    // Default value per setting path (captured from CONFIG on startup)
+    defaults: null,
+
+    // Layer each setting currently comes from
+    sources: {},
+
+    // Contents of config.json (null if absent)
+    fileOverrides: null,
+
+    // -------------------------------------------------------------------------
+    // Loading
+    // -------------------------------------------------------------------------
+
+    /**
+     * Capture the defaults and apply the synchronous layers (localStorage, URL)
+     * so scripts reading CONFIG before load() already see them.
+     */
+    init() {
+        this.defaults = {};
+        this._collectDefaults(CONFIG, '');
+        this.apply();
+    },
+
+    /**
+     * Fetch config.json and re-apply every layer.
+     * Never rejects; a missing or broken file just leaves the layer empty.
+     * @returns {Promise<Object>} CONFIG
+     */
+    async load() {
+        this.fileOverrides = await this._fetchConfigFile();
+        this.apply();
+
+        if (CONFIG.DEBUG) {
+            console.log('[Xentauri Config] Loaded configuration:', {
+                backend: CONFIG.BACKEND_URL,
+                wsUrl: CONFIG.WS_URL,
+                pairUrl: CONFIG.PAIR_URL,
+                isPaired: isPaired(),
+                agentId: getAgentId() || '(NOT PAIRED)',
+                debug: CONFIG.DEBUG,
+                customLayoutMode: CONFIG.CUSTOM_LAYOUT.MODE,
+                elevenLabs: {
+                    enabled: CONFIG.ELEVENLABS.ENABLED,
+                    configured: Boolean(CONFIG.ELEVENLABS.API_KEY),
+                    autoNarrate: CONFIG.ELEVENLABS.AUTO_NARRATE
+                }
+            });
+            this.dump();
+        }
+
+        return CONFIG;
+    },
+
+    /**
+     * Reset CONFIG to the defaults and apply all layers in order.
+     */
+    apply() {
+        Object.entries(this.defaults).forEach(([path, value]) => {
+            this._write(path, this._copy(value));
+            this.sources[path] = 'default';
+        });
+
+        const layers = [
+            ['config.json', this.fileOverrides, false, () => true],
+            ['localStorage', this.readStoredOverrides(), false, path => !this._matches(path, this.FILE_ONLY)],
+            ['url', this.readQueryOverrides(), true, path => this.isUrlSetting(path)]
+        ];
+
+        layers.forEach(([source, overrides, coerce, allowed]) => {
+            if (!overrides) return;
+
+            Object.entries(this._flatten(overrides, '')).forEach(([path, raw]) => {
+                if (!allowed(path)) {
+                    console.warn(`[Config] Ignoring ${source} override ${path}: not allowed from ${source}`);
+                    return;
+                }
+                const result = this.validate(path, raw, { coerce });
+                if (result.error) {
+                    console.warn(`[Config] Ignoring ${source} override ${path}: ${result.error}`);
+                    return;
+                }
+                this._write(path, result.value);
+                this.sources[path] = source;
+            });
+        });
+    },
+
+    /**
+     * Load config.json, returning null if it is absent or invalid.
+     */
+    async _fetchConfigFile() {
+        if (typeof fetch !== 'function') return null;
+
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.FETCH_TIMEOUT);
+
+        try {
+            const response = await fetch(this.CONFIG_URL, { cache: 'no-store', signal: controller.signal });
+            if (!response.ok) {
+                return null;
+            }
+            const json = await response.json();
+            if (!json || typeof json !== 'object' || Array.isArray(json)) {
+                console.warn(`[Config] ${this.CONFIG_URL} must contain a JSON object`);
+                return null;
+            }
+            return json;
+        } catch (e) {
+            if (e instanceof SyntaxError) {
+                console.warn(`[Config] ${this.CONFIG_URL} is not valid JSON:`, e.message);
+            }
+            return null;
+        } finally {
+            clearTimeout(timer);
+        }
+    },
+
+    // -------------------------------------------------------------------------
+    // Override Sources
+    // -------------------------------------------------------------------------
+
+    /**
+     * Read device overrides from localStorage.
+     * @returns {Object|null} Overrides
+     */
+    readStoredOverrides() {
+        try {
+            const raw = localStorage.getItem(this.STORAGE_KEY);
+            return raw ? JSON.parse(raw) : null;
+        } catch (e) {
+            console.warn('[Config] Invalid stored overrides:', e.message);
+            return null;
+        }
+    },
+
+    /**
+     * Store device overrides (replaces existing ones) and re-apply.
+     * @param {Object} overrides - Nested or dotted setting paths
+     */
+    saveOverrides(overrides) {
+        try {
+            localStorage.setItem(this.STORAGE_KEY, JSON.stringify(this._flatten(overrides, '')));
+        } catch (e) {
+            console.error('[Config] Failed to store overrides:', e);
+        }
+        this.apply();
+    },
+
+    /**
+     * Remove all device overrides and re-apply.
+     */
+    clearOverrides() {
+        try {
+            localStorage.removeItem(this.STORAGE_KEY);
+        } catch (e) {
+            console.error('[Config] Failed to clear overrides:', e);
+        }
+        this.apply();
+    },
+
+    /**
+     * Read overrides from the page query string. Accepts full setting paths
+     * (?CLOCK_FORMAT=24h) and QUERY_ALIASES (?clock=24h); apply() drops
+     * anything outside URL_SETTINGS.
+     * @returns {Object|null} Overrides (string values)
+     */
+    readQueryOverrides() {
+        const params = new URLSearchParams(window.location.search);
+        const overrides = {};
+
+        params.forEach((value, key) => {
+            const path = this.QUERY_ALIASES[key] || key;
+            if (Object.prototype.hasOwnProperty.call(this.defaults, path)) {
+                overrides[path] = value;
+            }
+        });
+
+        return Object.keys(overrides).length > 0 ? overrides : null;
+    },
+
+    // -------------------------------------------------------------------------
+    // Remote Configuration
+    // -------------------------------------------------------------------------
+
+    /**
+     * Check if the backend may change a setting.
+     * @param {string} path - Setting path
+     * @returns {boolean}
+     */
+    isRemoteSetting(path) {
+        return this._matches(path, this.REMOTE_SETTINGS) && !this._matches(path, this.FILE_ONLY);
+    },
+
+    /**
+     * Check if the page URL may override a setting.
+     * @param {string} path - Setting path
+     * @returns {boolean}
+     */
+    isUrlSetting(path) {
+        return this._matches(path, this.URL_SETTINGS) && !this._matches(path, this.FILE_ONLY);
+    },
+
+    /**
+     * Check a setting path against a list of paths / block prefixes.
+     */
+    _matches(path, list) {
+        return list.some(entry => path === entry || path.startsWith(`${entry}.`));
+    },
+
+    /**
+     * Apply settings sent by the backend. Accepted values are persisted as
+     * localStorage overrides, so they survive reboots (URL parameters still win).
+     * @param {Object} settings - Nested or dotted setting paths
+     * @param {boolean|string[]} reset - Drop stored overrides first (true = all remote settings)
+     * @returns {Object} { applied: [paths], rejected: [{ path, error }], changed: [paths] }
+     */
+    applyRemote(settings = {}, reset = false) {
+        const result = { applied: [], rejected: [], changed: [] };
+        const stored = this._flatten(this.readStoredOverrides(), '');
+        const before = {};
+        Object.keys(this.defaults).forEach(path => { before[path] = this._read(path); });
+
+        if (reset) {
+            Object.keys(stored).forEach(path => {
+                const selected = reset === true || (Array.isArray(reset) && reset.includes(path));
+                if (selected && this.isRemoteSetting(path)) {
+                    delete stored[path];
+                }
+            });
+        }
+
+        Object.entries(this._flatten(settings, '')).forEach(([path, value]) => {
+            if (!this.isRemoteSetting(path)) {
+                result.rejected.push({ path, error: 'not remotely configurable' });
+                return;
+            }
+            const checked = this.validate(path, value);
+            if (checked.error) {
+                result.rejected.push({ path, error: checked.error });
+                return;
+            }
+            stored[path] = checked.value;
+            result.applied.push(path);
+        });
+
+        this.saveOverrides(stored);
+
+        result.changed = Object.keys(this.defaults).filter(path =>
+            JSON.stringify(before[path]) !== JSON.stringify(this._read(path))
+        );
+
+        if (result.rejected.length > 0) {
+            console.warn('[Config] Rejected remote settings:', result.rejected);
+        }
+        return result;
+    },
+
+    /**
+     * Get the effective remote-configurable settings (secrets masked).
+     * @returns {Object} { config: { path: value }, sources: { path: source } }
+     */
+    getRemoteConfig() {
+        const config = {};
+        const sources = {};
+
+        Object.keys(this.defaults).filter(path => this.isRemoteSetting(path)).forEach(path => {
+            config[path] = this._displayValue(path);
+            sources[path] = this.sources[path];
+        });
+
+        return { config, sources };
+    },
+
+    // -------------------------------------------------------------------------
+    // Validation
+    // -------------------------------------------------------------------------
+
+    /**
+     * Validate a value for a setting.
+     * @param {string} path - Setting path (e.g. 'CUSTOM_LAYOUT.MODE')
+     * @param {*} value - Candidate value
+     * @param {Object} options - { coerce: parse strings (query parameters) }
+     * @returns {Object} { value } or { error }
+     */
+    validate(path, value, { coerce = false } = {}) {
+        if (!Object.prototype.hasOwnProperty.call(this.defaults, path)) {
+            return { error: 'unknown setting' };
+        }
+        if (this.LOCKED.includes(path)) {
+            return { error: 'cannot be overridden' };
+        }
+
+        const rule = this.RULES[path] || {};
+        const types = rule.type || [this._typeOf(this.defaults[path])];
+
+        if (coerce && typeof value === 'string') {
+            value = this._coerce(value, types);
+        }
+
+        const actual = this._typeOf(value);
+        if (!types.includes(actual)) {
+            return { error: `expected ${types.join(' or ')}, got ${actual}` };
+        }
+        if (rule.enum && !rule.enum.includes(value)) {
+            return { error: `must be one of ${rule.enum.join(', ')}` };
+        }
+        if (rule.pattern && !rule.pattern.test(value)) {
+            return { error: `invalid value "${value}"` };
+        }
+        if (rule.min !== undefined && value < rule.min) {
+            return { error: `must be >= ${rule.min}` };
+        }
+        if (rule.max !== undefined && value > rule.max) {
+            return { error: `must be <= ${rule.max}` };
+        }
+        if (rule.items && actual === 'array' && !value.every(item => typeof item === rule.items)) {
+            return { error: `items must be ${rule.items}s` };
+        }
+
+        return { value: this._copy(value) };
+    },
+
+    /**
+     * Parse a query string value into one of the expected types.
+     */
+    _coerce(value, types) {
+        if (types.includes('boolean')) {
+            if (['true', '1', 'yes', 'on'].includes(value)) return true;
+            if (['false', '0', 'no', 'off'].includes(value)) return false;
+        }
+        if (types.includes('number') && value.trim() !== '' && isFinite(Number(value))) {
+            return Number(value);
+        }
+        if (types.includes('null') && value === 'null') {
+            return null;
+        }
+        if (types.includes('array')) {
+            if (value.startsWith('[')) {
+                try {
+                    return JSON.parse(value);
+                } catch (e) {
+                    return value;
+                }
+            }
+            return value.split(',').map(item => item.trim()).filter(Boolean);
+        }
+        return value;
+    },
+
+    // -------------------------------------------------------------------------
+    // Status
+    // -------------------------------------------------------------------------
+
+    /**
+     * Get the layer each setting comes from.
+     * @returns {Object} path -> source
+     */
+    getSources() {
+        return { ...this.sources };
+    },
+
+    /**
+     * Log the effective configuration and where each value came from.
+     * @returns {Object[]} Rows of { setting, value, source }
+     */
+    dump() {
+        const rows = Object.keys(this.defaults).map(path => ({
+            setting: path,
+            value: this._displayValue(path),
+            source: this.sources[path]
+        }));
+
+        console.log('[Xentauri Config] Effective configuration:');
+        console.table(rows);
+        return rows;
+    },
+
+    // -------------------------------------------------------------------------
+    // Helpers
+    // -------------------------------------------------------------------------
+
+    /**
+     * Record the default of every overridable leaf (getters are derived, skipped).
+     */
+    _collectDefaults(obj, prefix) {
+        Object.keys(obj).forEach(key => {
+            const descriptor = Object.getOwnPropertyDescriptor(obj, key);
+            if (descriptor.get) return;
+
+            const path = prefix + key;
+            if (this._typeOf(descriptor.value) === 'object') {
+                this._collectDefaults(descriptor.value, `${path}.`);
+            } else {
+                this.defaults[path] = this._copy(descriptor.value);
+            }
+        });
+    },
+
+    /**
+     * Flatten nested overrides to dotted paths, stopping at known settings.
+     */
+    _flatten(obj, prefix) {
+        const flat = {};
+
+        Object.entries(obj || {}).forEach(([key, value]) => {
+            const path = prefix + key;
+            const isSetting = Object.prototype.hasOwnProperty.call(this.defaults, path);
+            if (!isSetting && this._typeOf(value) === 'object') {
+                Object.assign(flat, this._flatten(value, `${path}.`));
+            } else {
+                flat[path] = value;
+            }
+        });
+
+        return flat;
+    },
+
+    /**
+     * Get a setting's value for logs and reports (secrets masked).
+     */
+    _displayValue(path) {
+        const value = this._read(path);
+        return this.SECRETS.includes(path) && value ? '********' : value;
+    },
+
+    _read(path) {
+        return path.split('.').reduce((obj, key) => obj?.[key], CONFIG);
+    },
+
+    _write(path, value) {
+        const keys = path.split('.');
+        const last = keys.pop();
+        const target = keys.reduce((obj, key) => obj[key], CONFIG);
+        target[last] = value;
+    },
+
+    _copy(value) {
+        return Array.isArray(value) ? [...value] : value;
+    },
+
+    _typeOf(value) {
+        if (value === null) return 'null';
+        if (Array.isArray(value)) return 'array';
+        return typeof value;
+    }
+};
+
+ConfigLoader.init();
+
+// Make globally available
+window.ConfigLoader = ConfigLoader;
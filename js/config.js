@@ -5,13 +5,17 @@
 /**
  * Configuration object for the Xentauri Pi Screen client.
  * Agent ID is now stored in localStorage after pairing.
+ *
+ * These are defaults. ConfigLoader (js/config-loader.js) applies config.json,
+ * localStorage and URL overrides on top at startup, so change settings there
+ * rather than assigning to CONFIG directly.
  */
 const CONFIG = {
     // -------------------------------------------------------------------------
     // Backend Configuration
     // -------------------------------------------------------------------------
 
-    // Production backend URL
+    // Production backend URL (override with ?backend=... or config.json)
     BACKEND_URL: 'https://xentauri-cloud-core.fly.dev',
 
     // WebSocket URL (derived from backend URL)
@@ -26,6 +30,17 @@ const CONFIG = {
         return `${this.BACKEND_URL}/devices/pair`;
     },
 
+    // -------------------------------------------------------------------------
+    // Protocol
+    // -------------------------------------------------------------------------
+
+    // Sent in the `hello` handshake so the server can negotiate features
+    CLIENT_VERSION: '1.5.0',
+    PROTOCOL_VERSION: 2,
+
+    // Minimum time between server-requested reloads (guards reload loops)
+    RELOAD_COOLDOWN: 300000,
+
     // -------------------------------------------------------------------------
     // Device Configuration
     // -------------------------------------------------------------------------
@@ -52,6 +67,31 @@ const CONFIG = {
     // Heartbeat interval (30 seconds)
     HEARTBEAT_INTERVAL: 30000,
 
+    // Command de-duplication (re-sent command_ids get the original ACK) and
+    // expiry of commands whose `timestamp` is older than MAX_AGE (0 = never)
+    COMMANDS: {
+        HISTORY_SIZE: 200,
+        HISTORY_STORAGE_KEY: 'xentauri_command_history',
+        MAX_AGE: 300000
+    },
+
+    // Commands with execute_at / expires_at, kept across reboots
+    SCHEDULER: {
+        STORAGE_KEY: 'xentauri_schedule'
+    },
+
+    // Outbound queue for messages produced while disconnected (ACKs, reports)
+    OUTBOX: {
+        MAX_MESSAGES: 100,
+        STORAGE_KEY: 'xentauri_outbox'
+    },
+
+    // Device telemetry (screen, memory, content, render timings) sent to the backend
+    TELEMETRY: {
+        ENABLED: true,
+        INTERVAL: 60000        // Every 60 seconds
+    },
+
     // Loading timeout: maximum time to wait for content (8 minutes)
     // After this time, show error instead of infinite loading
     LOADING_TIMEOUT: 8 * 60 * 1000,  // 480000ms = 8 minutes
@@ -67,12 +107,71 @@ const CONFIG = {
         DEFAULT_BORDER_RADIUS: '12px'
     },
 
+    // Locale for on-screen text and date/number formatting (BCP 47,
+    // e.g. 'en-US', 'es-MX'). Overridden per scene with scene.locale
+    LOCALE: 'en-US',
+
+    // Locale for spoken narration and the listen button. Spanish, as speech
+    // was before localization; '' = follow LOCALE / scene.locale
+    SPEECH_LOCALE: 'es-ES',
+
     // Clock format: '12h' or '24h'
     CLOCK_FORMAT: '12h',
 
     // Weather units: 'fahrenheit' or 'celsius'
     WEATHER_UNITS: 'fahrenheit',
 
+    // Custom layout (model-generated HTML) rendering
+    CUSTOM_LAYOUT: {
+        // 'demo': inject into the page with full JS access (NOT secure)
+        // 'sandboxed': isolated srcdoc iframe with CSP + postMessage bridge
+        // parameters.render_mode on a command can tighten this, not loosen it
+        MODE: 'demo',
+
+        // Content Security Policy applied inside the sandboxed iframe
+        CSP: "default-src 'none'; script-src 'unsafe-inline'; style-src 'unsafe-inline'; " +
+             "img-src data: blob: https:; font-src data: https:; media-src data: blob: https:"
+    },
+
+    // Transitions between scenes, layouts and URLs. Overridden per scene with
+    // global_style.transition or per command with parameters.transition
+    TRANSITIONS: {
+        DEFAULT: 'fade',             // 'none', 'fade', 'slide' or 'zoom'
+        DURATION: 500,               // Animation length (ms)
+        READY_TIMEOUT: 3000          // Max wait for images/fonts before animating (ms)
+    },
+
+    // Colour theme (css/themes.css): set with the set_theme command, overridden
+    // per scene with global_style.theme and per component with style.theme
+    THEME: {
+        NAME: 'dark',                // 'dark', 'light', 'high-contrast', a brand theme or 'auto'
+        AUTO_MODE: 'sun',            // 'auto' switches at local sunrise/sunset or on a 'schedule'
+        LIGHT: 'light',              // Theme used by 'auto' during the day
+        DARK: 'dark',                // Theme used by 'auto' at night
+        LATITUDE: null,              // Location for 'sun' (without it the schedule is used)
+        LONGITUDE: null,
+        LIGHT_START: '07:00',        // Day window for 'schedule' (local time)
+        DARK_START: '19:00'
+    },
+
+    // Screenshot capture (capture_screenshot command defaults)
+    SCREENSHOT: {
+        DEFAULT_FORMAT: 'jpeg',      // 'png' or 'jpeg'
+        DEFAULT_SCALE: 0.5,          // Relative to the display size
+        QUALITY: 0.8,                // JPEG quality (0-1)
+        CHUNK_SIZE: 256 * 1024       // Base64 characters per WebSocket message
+    },
+
+    // -------------------------------------------------------------------------
+    // Plugins
+    // -------------------------------------------------------------------------
+
+    // Third-party component scripts (they call ComponentRegistry.register)
+    PLUGINS: {
+        SCRIPTS: [],           // e.g. ['plugins/stock-ticker.js']
+        LOAD_TIMEOUT: 10000    // Per-script load timeout (ms)
+    },
+
     // -------------------------------------------------------------------------
     // Debug Settings
     // -------------------------------------------------------------------------
@@ -182,27 +281,3 @@ window.getAgentId = getAgentId;
 window.setAgentId = setAgentId;
 window.clearAgentId = clearAgentId;
 window.isPaired = isPaired;
-
-// Freeze config to prevent accidental modifications
-Object.freeze(CONFIG);
-Object.freeze(CONFIG.RECONNECT);
-Object.freeze(CONFIG.LAYOUT);
-Object.freeze(CONFIG.ELEVENLABS);
-Object.freeze(CONFIG.ELEVENLABS.VOICE_SETTINGS);
-
-// Log configuration on load (debug mode only)
-if (CONFIG.DEBUG) {
-    console.log('[Xentauri Config] Loaded configuration:', {
-        backend: CONFIG.BACKEND_URL,
-        wsUrl: CONFIG.WS_URL,
-        pairUrl: CONFIG.PAIR_URL,
-        isPaired: isPaired(),
-        agentId: getAgentId() || '(NOT PAIRED)',
-        debug: CONFIG.DEBUG,
-        elevenLabs: {
-            enabled: CONFIG.ELEVENLABS.ENABLED,
-            configured: Boolean(CONFIG.ELEVENLABS.API_KEY),
-            autoNarrate: CONFIG.ELEVENLABS.AUTO_NARRATE
-        }
-    });
-}
@@ -0,0 +1,174 @@
+/* =============================================================================
+   XENTAURI PI SCREEN - Localization
+   ============================================================================= */
+
+/**
+ * Message catalogs and the active locale for on-screen text and speech.
+ *
+ * The device locale is CONFIG.LOCALE (a BCP 47 tag such as 'en-US' or
+ * 'es-MX'); a scene's `locale` overrides it while that scene is displayed.
+ * Speech (narration, listen button) uses CONFIG.SPEECH_LOCALE when set.
+ * Messages are looked up for the full tag, then its language ('es'), then
+ * English. Catalogs live in js/i18n/locales/ and register themselves;
+ * plugins can add languages or keys the same way:
+ *
+ *   I18n.register('fr', { 'calendar.no_events': 'Aucun événement à venir' });
+ *
+ * Messages use {name} placeholders. A message can also be an object of
+ * plural forms ({ one, other, ... }) selected by params.count.
+ *
+ * Dates, times and numbers are formatted for the same locale by
+ * Helpers.formatDate / formatTime / formatNumber.
+ */
+const I18n = {
+    // Catalog used when a message is missing in the active language
+    FALLBACK_LANGUAGE: 'en',
+    FALLBACK_LOCALE: 'en-US',
+
+    // language or locale tag -> { key: message }
+    catalogs: {},
+
+    // Locale of the displayed scene (null = device locale)
+    sceneLocale: null,
+
+    // Locale forced by withLocale() while its callback runs
+    overrideLocale: null,
+
+    // Intl.PluralRules per locale
+    pluralRules: {},
+
+    // -------------------------------------------------------------------------
+    // Locale
+    // -------------------------------------------------------------------------
+
+    /**
+     * Active locale: the scene's, else CONFIG.LOCALE, else the browser's.
+     * @returns {string} Canonical BCP 47 tag
+     */
+    getLocale() {
+        return this.overrideLocale ||
+            this.sceneLocale ||
+            this.normalize(CONFIG.LOCALE) ||
+            this.normalize(navigator.language) ||
+            this.FALLBACK_LOCALE;
+    },
+
+    /**
+     * Locale for speech: CONFIG.SPEECH_LOCALE, else the active locale.
+     * @returns {string} Canonical BCP 47 tag
+     */
+    getSpeechLocale() {
+        return this.normalize(CONFIG.SPEECH_LOCALE) || this.getLocale();
+    },
+
+    /**
+     * Run a function with a locale forced for t() and the Helpers formatters.
+     * @param {string} locale - BCP 47 tag
+     * @param {Function} fn - Function to run
+     * @returns {*} Return value of fn
+     */
+    withLocale(locale, fn) {
+        const previous = this.overrideLocale;
+        this.overrideLocale = this.normalize(locale) || previous;
+        try {
+            return fn();
+        } finally {
+            this.overrideLocale = previous;
+        }
+    },
+
+    /**
+     * Set (or clear with null) the displayed scene's locale.
+     * @param {string|null} locale - BCP 47 tag
+     * @returns {boolean} False if the tag is invalid (device locale used)
+     */
+    setSceneLocale(locale) {
+        this.sceneLocale = this.normalize(locale);
+        if (locale && !this.sceneLocale) {
+            Helpers.debug('I18n', `Invalid locale "${locale}", using ${this.getLocale()}`);
+            return false;
+        }
+        return true;
+    },
+
+    /**
+     * Canonicalize a locale tag.
+     * @returns {string|null} Tag, or null if missing or invalid
+     */
+    normalize(locale) {
+        if (!locale || typeof locale !== 'string') return null;
+        try {
+            return Intl.getCanonicalLocales(locale)[0] || null;
+        } catch (e) {
+            return null;
+        }
+    },
+
+    /**
+     * @returns {string[]} Languages / locales with a catalog
+     */
+    getLanguages() {
+        return Object.keys(this.catalogs);
+    },
+
+    // -------------------------------------------------------------------------
+    // Messages
+    // -------------------------------------------------------------------------
+
+    /**
+     * Add messages to a catalog (merged over existing keys).
+     * @param {string} language - Language ('es') or locale ('es-MX')
+     * @param {Object} messages - { key: message }
+     */
+    register(language, messages) {
+        this.catalogs[language] = { ...(this.catalogs[language] || {}), ...messages };
+    },
+
+    /**
+     * Translate a message for the active locale.
+     * @param {string} key - Message key (e.g. 'calendar.no_events')
+     * @param {Object} params - Placeholder values; count selects plural forms
+     * @returns {string} Message (the key itself if no catalog has it)
+     */
+    t(key, params = {}) {
+        const locale = this.getLocale();
+        let message = this._lookup(key, locale);
+
+        if (message === undefined) {
+            Helpers.debug('I18n', `Missing message "${key}"`);
+            return key;
+        }
+
+        if (typeof message === 'object') {
+            const category = this._pluralRules(locale).select(Number(params.count) || 0);
+            message = message[category] ?? message.other;
+        }
+
+        return String(message).replace(/\{(\w+)\}/g, (match, name) => {
+            const value = params[name];
+            if (value === undefined || value === null) return match;
+            return typeof value === 'number' ? Helpers.formatNumber(value) : String(value);
+        });
+    },
+
+    /**
+     * Find a message for a locale: exact tag, then language, then fallback.
+     */
+    _lookup(key, locale) {
+        const candidates = [locale, locale.split('-')[0], this.FALLBACK_LANGUAGE];
+        const catalog = candidates
+            .map(tag => this.catalogs[tag])
+            .find(messages => messages && messages[key] !== undefined);
+        return catalog ? catalog[key] : undefined;
+    },
+
+    _pluralRules(locale) {
+        if (!this.pluralRules[locale]) {
+            this.pluralRules[locale] = new Intl.PluralRules(locale);
+        }
+        return this.pluralRules[locale];
+    }
+};
+
+// Make globally available
+window.I18n = I18n;
@@ -0,0 +1,53 @@
+/* =============================================================================
+   XENTAURI PI SCREEN - English Messages
+   ============================================================================= */
+
+I18n.register('en', {
+    // Idle screen
+    'idle.device': 'Device',
+    'idle.waiting': 'Waiting for commands...',
+
+    // Calendar components
+    'calendar.upcoming': 'Upcoming',
+    'calendar.no_events': 'No upcoming events',
+    'calendar.all_day': 'All Day',
+    'calendar.more': '+{count} more',
+    'meeting.none': 'No upcoming meetings',
+    'meeting.untitled': 'Meeting',
+    'meeting.attendees': { one: '{count} attendee', other: '{count} attendees' },
+
+    // Weather components
+    'weather.demo_data': 'Demo data',
+    'weather.feels_like': 'Feels like',
+    'weather.humidity': 'Humidity',
+    'weather.wind': 'Wind',
+    'weather.sunrise': 'Sunrise',
+    'weather.sunset': 'Sunset',
+    'weather.no_forecast': 'No forecast available',
+    'weather.today': 'Today',
+
+    // Other components
+    'countdown.label': 'Countdown',
+    'doc.untitled': 'Document',
+    'doc.last_modified': 'Last modified: {date}',
+    'component.unknown': 'Unknown component: {type}',
+
+    // Speech (TTS narration)
+    'speech.calendar_empty': 'No events scheduled.',
+    'speech.calendar_intro': 'Your upcoming events:',
+    'speech.untitled_event': 'Untitled event',
+    'speech.weather': 'The weather in {location}: {temperature} degrees, {condition}.',
+    'speech.your_location': 'your location',
+    'speech.forecast_intro': 'Weather forecast:',
+    'speech.forecast_day': '{day}: high {high}, low {low}, {condition}',
+    'speech.countdown': '{remaining} until {event}.',
+    'speech.the_event': 'the event',
+    'speech.meeting': 'Meeting',
+    'speech.meeting_at': '{title} at {time}',
+    'speech.attendees': 'Attendees: {names}',
+
+    // Listen button
+    'listen.idle': 'Listen',
+    'listen.loading': 'Loading...',
+    'listen.playing': 'Stop'
+});
@@ -0,0 +1,53 @@
+/* =============================================================================
+   XENTAURI PI SCREEN - Spanish Messages
+   ============================================================================= */
+
+I18n.register('es', {
+    // Idle screen
+    'idle.device': 'Dispositivo',
+    'idle.waiting': 'Esperando comandos...',
+
+    // Calendar components
+    'calendar.upcoming': 'Próximos',
+    'calendar.no_events': 'No hay próximos eventos',
+    'calendar.all_day': 'Todo el día',
+    'calendar.more': '+{count} más',
+    'meeting.none': 'No hay próximas reuniones',
+    'meeting.untitled': 'Reunión',
+    'meeting.attendees': { one: '{count} participante', other: '{count} participantes' },
+
+    // Weather components
+    'weather.demo_data': 'Datos de demostración',
+    'weather.feels_like': 'Sensación',
+    'weather.humidity': 'Humedad',
+    'weather.wind': 'Viento',
+    'weather.sunrise': 'Amanecer',
+    'weather.sunset': 'Atardecer',
+    'weather.no_forecast': 'No hay pronóstico disponible',
+    'weather.today': 'Hoy',
+
+    // Other components
+    'countdown.label': 'Cuenta atrás',
+    'doc.untitled': 'Documento',
+    'doc.last_modified': 'Última modificación: {date}',
+    'component.unknown': 'Componente desconocido: {type}',
+
+    // Speech (TTS narration)
+    'speech.calendar_empty': 'No hay eventos programados.',
+    'speech.calendar_intro': 'Tus próximos eventos:',
+    'speech.untitled_event': 'Evento sin título',
+    'speech.weather': 'El clima en {location}: {temperature} grados, {condition}.',
+    'speech.your_location': 'tu ubicación',
+    'speech.forecast_intro': 'Pronóstico del tiempo:',
+    'speech.forecast_day': '{day}: máxima {high}, mínima {low}, {condition}',
+    'speech.countdown': 'Faltan {remaining} para {event}.',
+    'speech.the_event': 'el evento',
+    'speech.meeting': 'Reunión',
+    'speech.meeting_at': '{title} a las {time}',
+    'speech.attendees': 'Participantes: {names}',
+
+    // Listen button
+    'listen.idle': 'Escuchar',
+    'listen.loading': 'Cargando...',
+    'listen.playing': 'Detener'
+});
@@ -31,6 +31,13 @@
     </svg>`
   };
 
+  // Labels when I18n isn't loaded
+  const FALLBACK_LABELS = {
+    idle: 'Listen',
+    loading: 'Loading...',
+    playing: 'Stop'
+  };
+
   // ============================================================================
   // MAIN CLASS
   // ============================================================================
@@ -81,7 +88,6 @@
     // Label
     var label = document.createElement('span');
     label.className = 'xti-listen-label';
-    label.textContent = 'Escuchar';
     this.elements.label = label;
 
     button.appendChild(icon);
@@ -203,22 +209,34 @@
         button.classList.add('loading');
         button.disabled = true;
         icon.innerHTML = '<div class="xti-listen-spinner"></div>';
-        label.textContent = 'Cargando...';
+        label.textContent = this._label('loading');
         break;
 
       case 'playing':
         button.classList.add('playing');
         icon.innerHTML = this._createSoundWaveHTML();
-        label.textContent = 'Detener';
+        label.textContent = this._label('playing');
         break;
 
       default: // idle
         icon.innerHTML = ICONS.speaker;
-        label.textContent = 'Escuchar';
+        label.textContent = this._label('idle');
         break;
     }
   };
 
+  /**
+   * Label for a state in the speech locale (I18n catalogs, 'listen.<state>')
+   */
+  ListenButton.prototype._label = function(state) {
+    if (!global.I18n) {
+      return FALLBACK_LABELS[state] || '';
+    }
+    return I18n.withLocale(I18n.getSpeechLocale(), function() {
+      return I18n.t('listen.' + state);
+    });
+  };
+
   ListenButton.prototype._createSoundWaveHTML = function() {
     return '<div class="xti-sound-wave">' +
       '<div class="xti-sound-bar"></div>' +
@@ -246,6 +264,16 @@
     this.currentScene = scene;
     this.isVisible = true;
     this.elements.wrapper.classList.add('visible');
+
+    // The scene may have changed the locale
+    this._updateUI();
+  };
+
+  /**
+   * Re-render the label (after a locale change)
+   */
+  ListenButton.prototype.refreshLabels = function() {
+    this._updateUI();
   };
 
   /**
@@ -120,6 +120,9 @@ const PairingService = {
         clearAgentId();
         // Also clear any stored content
         Helpers.clearStorage(CONFIG.STORAGE_KEY);
+        Helpers.clearStorage(CONFIG.OUTBOX.STORAGE_KEY);
+        Helpers.clearStorage(CONFIG.COMMANDS.HISTORY_STORAGE_KEY);
+        Helpers.clearStorage(CONFIG.SCHEDULER.STORAGE_KEY);
         console.log('[PairingService] Device unpaired');
     },
 
@@ -0,0 +1,325 @@
+/* =============================================================================
+   XENTAURI PI SCREEN - Playlist Player
+   ============================================================================= */
+
+/**
+ * Rotates through the items of a `display_playlist` command.
+ *
+ * Items are scenes, custom layouts or URLs, each shown for `duration`
+ * seconds. Items with a `daypart` only play inside their time window; when
+ * nothing is eligible the idle screen is shown and the playlist re-checks
+ * periodically. Rendering is delegated to the app (renderItem callback) so
+ * items go through the same paths as the equivalent single commands,
+ * including their scene transition.
+ *
+ * Playlist:
+ *   { playlist_id, items: [...], loop: true|false|count,
+ *     default_duration: 30, transition: 'fade'|'slide'|'zoom'|'none' }
+ * Item:
+ *   { id, type: 'scene'|'custom_layout'|'url', scene, custom_layout,
+ *     render_mode, url, content_type, duration, transition,
+ *     daypart: { start: 'HH:MM', end: 'HH:MM', days: ['mon', ...] } }
+ */
+const PlaylistPlayer = {
+    // Active playlist (normalized) and position
+    playlist: null,
+    index: -1,
+    loopsDone: 0,
+    finished: false,
+    itemStartedAt: null,
+    itemEndsAt: null,
+
+    // Pending advance / re-check timer
+    timer: null,
+
+    // App callbacks: { renderItem(item), showIdle(), onAdvance(status) }
+    callbacks: null,
+
+    DEFAULT_DURATION: 30,
+    MIN_DURATION: 1,
+
+    // How often to re-check dayparts when no item is eligible (ms)
+    IDLE_RECHECK: 60000,
+
+    // -------------------------------------------------------------------------
+    // Validation
+    // -------------------------------------------------------------------------
+
+    /**
+     * Normalize and validate a playlist.
+     * @param {Object} params - display_playlist parameters
+     * @returns {{ playlist: Object }|{ error: string }}
+     */
+    normalize(params) {
+        const items = params?.items;
+        if (!Array.isArray(items) || items.length === 0) {
+            return { error: 'items must be a non-empty array' };
+        }
+
+        const defaultDuration = Number(params.default_duration) || this.DEFAULT_DURATION;
+        const normalized = [];
+
+        for (let i = 0; i < items.length; i++) {
+            const item = items[i] || {};
+            const type = item.type || (item.custom_layout ? 'custom_layout' : item.url ? 'url' : 'scene');
+
+            if (type === 'scene' && !item.scene) {
+                return { error: `items[${i}]: scene item requires a scene` };
+            }
+            if (type === 'custom_layout' && !item.custom_layout) {
+                return { error: `items[${i}]: custom_layout item requires custom_layout` };
+            }
+            if (type === 'url' && !item.url) {
+                return { error: `items[${i}]: url item requires a url` };
+            }
+            if (!['scene', 'custom_layout', 'url'].includes(type)) {
+                return { error: `items[${i}]: unknown type "${type}"` };
+            }
+
+            const daypart = this.normalizeDaypart(item.daypart);
+            if (daypart && daypart.error) {
+                return { error: `items[${i}].daypart: ${daypart.error}` };
+            }
+
+            normalized.push({
+                ...item,
+                id: item.id || `item-${i}`,
+                type,
+                duration: Math.max(this.MIN_DURATION, Number(item.duration) || defaultDuration),
+                transition: item.transition || params.transition || null,
+                daypart
+            });
+        }
+
+        return {
+            playlist: {
+                playlist_id: params.playlist_id || null,
+                loop: params.loop ?? true,
+                items: normalized
+            }
+        };
+    },
+
+    /**
+     * @returns {Object|null} { start, end (minutes), days (indexes|null) } or { error }
+     */
+    normalizeDaypart(daypart) {
+        if (!daypart) return null;
+
+        const start = daypart.start !== undefined ? Helpers.parseTimeOfDay(daypart.start) : 0;
+        const end = daypart.end !== undefined ? Helpers.parseTimeOfDay(daypart.end) : 24 * 60;
+        if (start === null || end === null) {
+            return { error: 'start/end must be "HH:MM"' };
+        }
+
+        let days = null;
+        if (daypart.days !== undefined) {
+            days = (Array.isArray(daypart.days) ? daypart.days : [daypart.days]).map(d => Helpers.parseDayOfWeek(d));
+            if (days.includes(null)) {
+                return { error: 'days must be day names or 0-6' };
+            }
+        }
+
+        return { start, end, days };
+    },
+
+    // -------------------------------------------------------------------------
+    // Playback
+    // -------------------------------------------------------------------------
+
+    /**
+     * Start a (normalized) playlist.
+     * @param {Object} playlist - From normalize()
+     * @param {Object} callbacks - { renderItem(item), showIdle(), onAdvance(status) }
+     * @param {Object} position - Optional { index, loopsDone, finished } to resume from
+     */
+    start(playlist, callbacks, position = {}) {
+        this.stop();
+
+        this.playlist = playlist;
+        this.callbacks = callbacks;
+        this.loopsDone = position.loopsDone || 0;
+        this.finished = false;
+        this.index = -1;
+
+        console.log(`[PlaylistPlayer] Starting ${playlist.playlist_id || 'playlist'} (${playlist.items.length} items)`);
+
+        const index = Math.min(Math.max(0, position.index || 0), playlist.items.length - 1);
+        if (position.finished) {
+            this.show(index);
+            this.finish();
+            return;
+        }
+
+        this.show(this.findNext(index));
+    },
+
+    /**
+     * Stop rotating (content on screen stays until replaced).
+     */
+    stop() {
+        this.clearTimer();
+
+        if (this.playlist) {
+            console.log('[PlaylistPlayer] Stopped');
+        }
+
+        this.playlist = null;
+        this.callbacks = null;
+        this.index = -1;
+        this.finished = false;
+        this.itemStartedAt = null;
+        this.itemEndsAt = null;
+    },
+
+    isPlaying() {
+        return this.playlist !== null;
+    },
+
+    /**
+     * Advance to the next eligible item, or finish when the loops are done.
+     */
+    next() {
+        if (!this.playlist) return;
+
+        const index = this.findNext(this.index + 1);
+        if (index === null) {
+            this.finish();
+            return;
+        }
+
+        this.show(index);
+    },
+
+    /**
+     * Stop advancing but keep the last item on screen.
+     */
+    finish() {
+        console.log('[PlaylistPlayer] Finished');
+        this.clearTimer();
+        this.finished = true;
+        this.itemEndsAt = null;
+        this.callbacks.onAdvance(this.getStatus());
+    },
+
+    shouldLoop() {
+        const loop = this.playlist.loop;
+        if (loop === true) return true;
+        if (typeof loop === 'number') return this.loopsDone < loop;
+        return false;
+    },
+
+    /**
+     * First item at or after `from` whose daypart is active now. Passing the
+     * end of the list counts a loop.
+     * @returns {number|null} Index, -1 if nothing is eligible right now,
+     *   null if the playlist has finished
+     */
+    findNext(from) {
+        const count = this.playlist.items.length;
+        const now = new Date();
+        let index = from;
+
+        for (let step = 0; step < count; step++, index++) {
+            if (index >= count) {
+                index = 0;
+                this.loopsDone++;
+                if (!this.shouldLoop()) return null;
+            }
+            if (this.isDaypartActive(this.playlist.items[index].daypart, now)) {
+                return index;
+            }
+        }
+        return -1;
+    },
+
+    clearTimer() {
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+    },
+
+    /**
+     * Check if a daypart covers a moment (windows may cross midnight).
+     */
+    isDaypartActive(daypart, date) {
+        if (!daypart) return true;
+
+        const minutes = date.getHours() * 60 + date.getMinutes();
+        const overnight = daypart.start > daypart.end;
+        const inWindow = overnight
+            ? minutes >= daypart.start || minutes < daypart.end
+            : minutes >= daypart.start && minutes < daypart.end;
+
+        if (!inWindow) return false;
+        if (!daypart.days) return true;
+
+        // After midnight, an overnight window belongs to the previous day
+        const day = overnight && minutes < daypart.end ? (date.getDay() + 6) % 7 : date.getDay();
+        return daypart.days.includes(day);
+    },
+
+    /**
+     * Show an item (or idle if -1) and arm the timer.
+     */
+    show(index) {
+        if (!this.playlist) return;
+        this.clearTimer();
+
+        if (index === -1) {
+            Helpers.debug('PlaylistPlayer', 'No item in its daypart, showing idle');
+            this.index = -1;
+            this.itemStartedAt = Date.now();
+            this.itemEndsAt = null;
+            this.callbacks.showIdle();
+            this.timer = setTimeout(() => this.show(this.findNext(0)), this.IDLE_RECHECK);
+            this.callbacks.onAdvance(this.getStatus());
+            return;
+        }
+
+        const item = this.playlist.items[index];
+        this.index = index;
+        this.itemStartedAt = Date.now();
+        this.itemEndsAt = this.itemStartedAt + item.duration * 1000;
+
+        try {
+            this.callbacks.renderItem(item);
+        } catch (e) {
+            console.error(`[PlaylistPlayer] Item ${item.id} failed:`, e);
+        }
+
+        this.timer = setTimeout(() => this.next(), item.duration * 1000);
+
+        Helpers.debug('PlaylistPlayer', `Showing ${item.id} (${item.type}) for ${item.duration}s`);
+        this.callbacks.onAdvance(this.getStatus());
+    },
+
+    // -------------------------------------------------------------------------
+    // Status
+    // -------------------------------------------------------------------------
+
+    /**
+     * Current playlist position (snake_case, for telemetry).
+     * @returns {Object|null}
+     */
+    getStatus() {
+        if (!this.playlist) return null;
+
+        const item = this.playlist.items[this.index];
+        return {
+            playlist_id: this.playlist.playlist_id,
+            item_count: this.playlist.items.length,
+            item_index: this.index,
+            item_id: item?.id || null,
+            item_type: item?.type || null,
+            loops_done: this.loopsDone,
+            finished: this.finished,
+            item_started_at: this.itemStartedAt ? new Date(this.itemStartedAt).toISOString() : null,
+            item_ends_at: this.itemEndsAt ? new Date(this.itemEndsAt).toISOString() : null
+        };
+    }
+};
+
+// Make globally available
+window.PlaylistPlayer = PlaylistPlayer;
@@ -3,13 +3,15 @@
    ============================================================================= */
 
 /**
- * Component renderers for all 17 Xentauri Scene Graph component types.
+ * Component renderers for all 18 Xentauri Scene Graph component types.
+ * Entries are either plain (data, props) => Element functions or lifecycle
+ * objects with mount/update/unmount/narrate (see ComponentLifecycle).
  *
  * Categories:
  * - Calendar: calendar_day, calendar_week, calendar_month, calendar_widget,
  *             calendar_agenda, meeting_detail
- * - Utility: clock_digital, clock_analog, weather_current, countdown_timer,
- *            event_countdown, text_block, spacer
+ * - Utility: clock_digital, clock_analog, weather_current, weather_forecast,
+ *            countdown_timer, event_countdown, text_block, spacer
  * - Content: image_display, web_embed, doc_summary, doc_preview
  */
 const ComponentRenderers = {
@@ -27,7 +29,7 @@ const ComponentRenderers = {
         const events = data?.events || [];
 
         if (events.length === 0) {
-            container.innerHTML = '<p class="no-events">No upcoming events</p>';
+            container.innerHTML = `<p class="no-events">${I18n.t('calendar.no_events')}</p>`;
             return container;
         }
 
@@ -39,7 +41,7 @@ const ComponentRenderers = {
             eventEl.className = 'agenda-event';
             eventEl.style.borderLeftColor = event.color || '#4285f4';
 
-            const time = event.is_all_day ? 'All Day' : Helpers.formatTime(event.start);
+            const time = event.is_all_day ? I18n.t('calendar.all_day') : Helpers.formatTime(event.start);
             eventEl.innerHTML = `
                 <div class="agenda-event-title">${Helpers.escapeHtml(event.title)}</div>
                 <div class="agenda-event-time">${time}${event.location ? ' \u2022 ' + Helpers.escapeHtml(event.location) : ''}</div>
@@ -61,11 +63,11 @@ const ComponentRenderers = {
         const maxEvents = props?.max_events || 5;
 
         const title = document.createElement('h3');
-        title.textContent = 'Upcoming';
+        title.textContent = I18n.t('calendar.upcoming');
         container.appendChild(title);
 
         if (events.length === 0) {
-            container.innerHTML += '<p class="no-events">No upcoming events</p>';
+            container.innerHTML += `<p class="no-events">${I18n.t('calendar.no_events')}</p>`;
             return container;
         }
 
@@ -101,30 +103,178 @@ const ComponentRenderers = {
     },
 
     /**
-     * Render calendar week view.
+     * Render calendar week view: 7 day columns over an hourly time axis.
+     * Props: week_start (0-6 or day name), start_hour, end_hour, date.
      */
     calendar_week(data, props) {
-        // Use agenda view with week-specific settings
-        return this.calendar_agenda(data, { ...props, max_events: 20 });
+        const weekStart = Helpers.parseWeekStart(props?.week_start ?? data?.week_start);
+        const firstDay = Helpers.startOfWeek(this._calendarAnchorDate(data, props), weekStart);
+        const days = Array.from({ length: 7 }, (_, i) => Helpers.addDays(firstDay, i));
+        const startHour = Math.max(0, Math.min(23, props?.start_hour ?? 7));
+        const endHour = Math.max(startHour + 1, Math.min(24, props?.end_hour ?? 21));
+        const hours = endHour - startHour;
+        const events = this._normalizeEvents(data?.events);
+        const today = new Date();
+
+        const container = document.createElement('div');
+        container.className = 'calendar-week';
+
+        // Day headers
+        const header = document.createElement('div');
+        header.className = 'calendar-week-row calendar-week-header';
+        header.appendChild(document.createElement('div'));
+        days.forEach(day => {
+            const cell = document.createElement('div');
+            cell.className = 'calendar-week-day-header';
+            cell.classList.toggle('today', Helpers.isSameDay(day, today));
+            cell.innerHTML = `
+                <span class="calendar-week-weekday">${Helpers.formatDate(day, { weekday: 'short' })}</span>
+                <span class="calendar-week-date">${day.getDate()}</span>
+            `;
+            header.appendChild(cell);
+        });
+        container.appendChild(header);
+
+        // All-day events
+        const allDay = events.filter(event => event.allDay);
+        if (allDay.length > 0) {
+            const row = document.createElement('div');
+            row.className = 'calendar-week-row calendar-week-allday';
+
+            const label = document.createElement('div');
+            label.className = 'calendar-week-axis-label';
+            label.textContent = I18n.t('calendar.all_day');
+            row.appendChild(label);
+
+            days.forEach(day => {
+                const cell = document.createElement('div');
+                cell.className = 'calendar-week-allday-cell';
+                this._eventsOnDay(allDay, day).forEach(event => {
+                    cell.appendChild(this._eventChip(event, false));
+                });
+                row.appendChild(cell);
+            });
+            container.appendChild(row);
+        }
+
+        // Time grid
+        const body = document.createElement('div');
+        body.className = 'calendar-week-row calendar-week-body';
+        body.style.setProperty('--calendar-hours', hours);
+
+        const axis = document.createElement('div');
+        axis.className = 'calendar-week-axis';
+        for (let hour = startHour; hour < endHour; hour++) {
+            const label = document.createElement('div');
+            label.className = 'calendar-week-axis-label';
+            label.style.top = `${((hour - startHour) / hours) * 100}%`;
+            label.textContent = Helpers.formatTime(new Date(2000, 0, 1, hour));
+            axis.appendChild(label);
+        }
+        body.appendChild(axis);
+
+        const timed = events.filter(event => !event.allDay);
+        days.forEach(day => {
+            const column = document.createElement('div');
+            column.className = 'calendar-week-column';
+            column.classList.toggle('today', Helpers.isSameDay(day, today));
+
+            const rangeStart = new Date(day.getFullYear(), day.getMonth(), day.getDate(), startHour);
+            const rangeEnd = new Date(day.getFullYear(), day.getMonth(), day.getDate(), endHour);
+            const rangeMinutes = hours * 60;
+
+            // Clip to the visible hours; events entirely outside are dropped
+            const blocks = timed
+                .filter(event => event.start < rangeEnd && event.end > rangeStart)
+                .map(event => ({
+                    event,
+                    top: Math.max(0, (event.start - rangeStart) / 60000),
+                    bottom: Math.min(rangeMinutes, (event.end - rangeStart) / 60000)
+                }));
+
+            this._layoutOverlaps(blocks).forEach(block => {
+                const el = this._eventChip(block.event, true);
+                el.classList.add('calendar-week-event');
+                el.style.top = `${(block.top / rangeMinutes) * 100}%`;
+                el.style.height = `${(Math.max(block.bottom - block.top, 15) / rangeMinutes) * 100}%`;
+                el.style.left = `${(block.column / block.columns) * 100}%`;
+                el.style.width = `${100 / block.columns}%`;
+                column.appendChild(el);
+            });
+
+            body.appendChild(column);
+        });
+        container.appendChild(body);
+
+        return container;
     },
 
     /**
-     * Render calendar month view.
+     * Render calendar month view: a day grid with event chips per day.
+     * Props: week_start (0-6 or day name), max_chips, date.
      */
     calendar_month(data, props) {
+        const weekStart = Helpers.parseWeekStart(props?.week_start ?? data?.week_start);
+        const anchor = this._calendarAnchorDate(data, props);
+        const monthStart = new Date(anchor.getFullYear(), anchor.getMonth(), 1);
+        const monthEnd = new Date(anchor.getFullYear(), anchor.getMonth() + 1, 0);
+        const gridStart = Helpers.startOfWeek(monthStart, weekStart);
+        const gridDays = Math.round((monthEnd - gridStart) / 86400000) + 1;
+        const weeks = Math.ceil(gridDays / 7);
+        const maxChips = props?.max_chips || 3;
+        const events = this._normalizeEvents(data?.events);
+        const today = new Date();
+
         const container = document.createElement('div');
         container.className = 'calendar-month';
 
         const header = document.createElement('h3');
-        header.textContent = new Date().toLocaleDateString('en-US', {
+        header.textContent = Helpers.formatDate(monthStart, {
             month: 'long',
             year: 'numeric'
         });
         container.appendChild(header);
 
-        // Add agenda below
-        const agenda = this.calendar_agenda(data, { ...props, max_events: 10 });
-        container.appendChild(agenda);
+        const weekdays = document.createElement('div');
+        weekdays.className = 'calendar-month-weekdays';
+        for (let i = 0; i < 7; i++) {
+            const name = document.createElement('div');
+            name.textContent = Helpers.formatDate(Helpers.addDays(gridStart, i), { weekday: 'short' });
+            weekdays.appendChild(name);
+        }
+        container.appendChild(weekdays);
+
+        const grid = document.createElement('div');
+        grid.className = 'calendar-month-grid';
+        grid.style.gridTemplateRows = `repeat(${weeks}, 1fr)`;
+
+        for (let i = 0; i < weeks * 7; i++) {
+            const day = Helpers.addDays(gridStart, i);
+            const cell = document.createElement('div');
+            cell.className = 'calendar-month-day';
+            cell.classList.toggle('outside', day.getMonth() !== monthStart.getMonth());
+            cell.classList.toggle('today', Helpers.isSameDay(day, today));
+
+            const date = document.createElement('div');
+            date.className = 'calendar-month-date';
+            date.textContent = day.getDate();
+            cell.appendChild(date);
+
+            const dayEvents = this._eventsOnDay(events, day);
+            dayEvents.slice(0, maxChips).forEach(event => {
+                cell.appendChild(this._eventChip(event, !event.allDay));
+            });
+
+            if (dayEvents.length > maxChips) {
+                const more = document.createElement('div');
+                more.className = 'calendar-month-more';
+                more.textContent = I18n.t('calendar.more', { count: dayEvents.length - maxChips });
+                cell.appendChild(more);
+            }
+
+            grid.appendChild(cell);
+        }
+        container.appendChild(grid);
 
         return container;
     },
@@ -137,7 +287,7 @@ const ComponentRenderers = {
         container.className = 'meeting-detail';
 
         if (data?.empty) {
-            container.innerHTML = '<p class="no-events">No upcoming meetings</p>';
+            container.innerHTML = `<p class="no-events">${I18n.t('meeting.none')}</p>`;
             return container;
         }
 
@@ -146,23 +296,19 @@ const ComponentRenderers = {
             return container;
         }
 
-        const startTime = data?.start_time
-            ? new Date(data.start_time).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
-            : '';
-        const endTime = data?.end_time
-            ? new Date(data.end_time).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
-            : '';
+        const startTime = Helpers.formatTime(data?.start_time, { hour: '2-digit', minute: '2-digit' });
+        const endTime = Helpers.formatTime(data?.end_time, { hour: '2-digit', minute: '2-digit' });
 
         container.innerHTML = `
-            <h2>${Helpers.escapeHtml(data?.title || 'Meeting')}</h2>
+            <h2>${Helpers.escapeHtml(data?.title || I18n.t('meeting.untitled'))}</h2>
             <div class="meeting-detail-time">
-                ${data?.is_all_day ? 'All Day' : `${startTime} - ${endTime}`}
+                ${data?.is_all_day ? I18n.t('calendar.all_day') : `${startTime} - ${endTime}`}
             </div>
             ${data?.location ? `<div class="meeting-detail-location">\uD83D\uDCCD ${Helpers.escapeHtml(data.location)}</div>` : ''}
             ${data?.description ? `<div class="meeting-detail-description">${Helpers.escapeHtml(Helpers.truncate(data.description, 300))}</div>` : ''}
             ${data?.attendees && data.attendees.length > 0 ? `
                 <div class="meeting-detail-attendees">
-                    \uD83D\uDC65 ${data.attendees.length} attendee${data.attendees.length > 1 ? 's' : ''}
+                    \uD83D\uDC65 ${I18n.t('meeting.attendees', { count: data.attendees.length })}
                 </div>
             ` : ''}
         `;
@@ -176,90 +322,500 @@ const ComponentRenderers = {
 
     /**
      * Render digital clock.
+     * Lifecycle component: updates keep the running interval.
      */
-    clock_digital(data, props) {
-        const container = document.createElement('div');
-        container.className = 'clock-digital';
+    clock_digital: {
+        mount(data, props) {
+            this.props = props;
+
+            const container = document.createElement('div');
+            container.className = 'clock-digital';
+
+            this.timeEl = document.createElement('div');
+            this.timeEl.className = 'clock-time';
+
+            this.dateEl = document.createElement('div');
+            this.dateEl.className = 'clock-date';
+
+            container.appendChild(this.timeEl);
+            container.appendChild(this.dateEl);
+
+            this.tick();
+            this.intervalId = setInterval(() => this.tick(), 1000);
+
+            return container;
+        },
 
-        const timeEl = document.createElement('div');
-        timeEl.className = 'clock-time';
+        update(data, props) {
+            this.props = props;
+            this.tick();
+        },
 
-        const dateEl = document.createElement('div');
-        dateEl.className = 'clock-date';
+        unmount() {
+            clearInterval(this.intervalId);
+        },
 
-        function updateClock() {
+        tick() {
+            const props = this.props;
             const now = new Date();
             const format = props?.format || CONFIG.CLOCK_FORMAT || '12h';
 
-            let hours = now.getHours();
-            let ampm = '';
-
-            if (format === '12h') {
-                ampm = hours >= 12 ? ' PM' : ' AM';
-                hours = hours % 12 || 12;
+            // Hour cycle from the clock format, separators and AM/PM from the locale
+            this.timeEl.textContent = Helpers.formatTime(now, {
+                hour: 'numeric',
+                minute: '2-digit',
+                second: props?.show_seconds ? '2-digit' : undefined,
+                hourCycle: format === '12h' ? 'h12' : 'h23'
+            });
+
+            const showDate = props?.show_date !== false;
+            this.dateEl.hidden = !showDate;
+            if (showDate) {
+                this.dateEl.textContent = Helpers.formatDate(now);
             }
+        }
+    },
 
-            const minutes = String(now.getMinutes()).padStart(2, '0');
-            const seconds = props?.show_seconds
-                ? ':' + String(now.getSeconds()).padStart(2, '0')
-                : '';
-
-            timeEl.textContent = `${hours}:${minutes}${seconds}${ampm}`;
+    /**
+     * Render SVG analog clock.
+     *
+     * Props:
+     * - mode: 'tick' (default, hands jump each second) or 'sweep' (smooth)
+     * - show_seconds: show second hand (default true)
+     * - tick_style: 'lines' (default), 'dots' or 'none'
+     * - numerals: 'arabic' (default), 'roman' or 'none'
+     * - theme: 'auto' (default, screen theme colours), 'dark', 'light' or
+     *   'minimal' (no face, screen theme colours)
+     * - face_color, hand_color, second_hand_color, tick_color: theme overrides
+     * - timezone: IANA zone for the main dial (default: device time)
+     * - label: text shown on the dial
+     * - secondary_timezones: up to 3 sub-dials, [{ timezone, label }]
+     */
+    clock_analog: {
+        // 'auto' and 'minimal' follow the screen theme (css/themes.css)
+        THEMES: {
+            auto: {
+                face: 'var(--bg-secondary)', border: 'var(--border-color)', ticks: 'var(--text-secondary)',
+                numerals: 'var(--text-primary)', hands: 'var(--text-primary)', second: 'var(--color-error)'
+            },
+            dark: {
+                face: '#1a1a2e', border: 'rgba(255, 255, 255, 0.15)', ticks: 'rgba(255, 255, 255, 0.6)',
+                numerals: '#ffffff', hands: '#ffffff', second: '#ef5350'
+            },
+            light: {
+                face: '#f5f5f5', border: '#d0d0d0', ticks: '#555555',
+                numerals: '#222222', hands: '#222222', second: '#d32f2f'
+            },
+            minimal: {
+                face: 'transparent', border: 'transparent', ticks: 'var(--text-muted)',
+                numerals: 'var(--text-secondary)', hands: 'var(--text-primary)', second: 'var(--color-primary)'
+            }
+        },
+
+        ROMAN: ['XII', 'I', 'II', 'III', 'IV', 'V', 'VI', 'VII', 'VIII', 'IX', 'X', 'XI'],
+
+        // Sub-dial centres by number of secondary time zones
+        SUBDIAL_POSITIONS: {
+            1: [[100, 140]],
+            2: [[66, 130], [134, 130]],
+            3: [[62, 120], [138, 120], [100, 146]]
+        },
+
+        mount(data, props) {
+            this.container = document.createElement('div');
+            this.container.className = 'clock-analog';
+            this.formatters = {};
+            this.build(props);
+            this.start();
+            return this.container;
+        },
+
+        update(data, props) {
+            this.stop();
+            this.build(props);
+            this.start();
+        },
+
+        unmount() {
+            this.stop();
+        },
+
+        /**
+         * Build the SVG face, hands and sub-dials.
+         */
+        build(props) {
+            this.props = props || {};
+
+            // Resolve time zones up front: an unknown zone throws here (error
+            // tile) instead of on every tick
+            [this.props.timezone, ...(this.props.secondary_timezones || []).map(zone => zone.timezone)]
+                .filter(Boolean)
+                .forEach(zone => this.formatter(zone));
+
+            const theme = {
+                ...(this.THEMES[this.props.theme] || this.THEMES.auto)
+            };
+            if (this.props.face_color) theme.face = this.props.face_color;
+            if (this.props.hand_color) theme.hands = this.props.hand_color;
+            if (this.props.second_hand_color) theme.second = this.props.second_hand_color;
+            if (this.props.tick_color) theme.ticks = this.props.tick_color;
+
+            const svg = this.svg('svg', { viewBox: '0 0 200 200', class: 'clock-analog-face' });
+            svg.appendChild(this.svg('circle', {
+                cx: 100, cy: 100, r: 96, fill: theme.face, stroke: theme.border, 'stroke-width': 2
+            }));
+
+            this.buildTicks(svg, theme);
+            this.buildNumerals(svg, theme);
+
+            if (this.props.label) {
+                const label = this.svg('text', {
+                    x: 100, y: 64, 'text-anchor': 'middle', 'font-size': 9, fill: theme.numerals, opacity: 0.7
+                });
+                label.textContent = this.props.label;
+                svg.appendChild(label);
+            }
 
-            if (props?.show_date !== false) {
-                dateEl.textContent = now.toLocaleDateString('en-US', {
-                    weekday: 'long',
-                    month: 'long',
-                    day: 'numeric'
+            // Sub-dials go under the main hands
+            const zones = (this.props.secondary_timezones || []).slice(0, 3);
+            this.subdials = zones.map((zone, i) => {
+                const [cx, cy] = this.SUBDIAL_POSITIONS[zones.length][i];
+                return this.buildSubdial(svg, zone, cx, cy, theme);
+            });
+
+            const showSeconds = this.props.show_seconds !== false;
+            this.hands = {
+                hour: this.buildHand(svg, 100, 100, 48, 5, theme.hands),
+                minute: this.buildHand(svg, 100, 100, 72, 3.5, theme.hands),
+                second: showSeconds ? this.buildHand(svg, 100, 100, 80, 1.5, theme.second, 16) : null
+            };
+
+            svg.appendChild(this.svg('circle', { cx: 100, cy: 100, r: 4, fill: showSeconds ? theme.second : theme.hands }));
+
+            this.container.replaceChildren(svg);
+        },
+
+        buildTicks(svg, theme) {
+            const style = this.props.tick_style || 'lines';
+            if (style === 'none') return;
+
+            for (let i = 0; i < 60; i++) {
+                const isHour = i % 5 === 0;
+                const angle = (i * 6 - 90) * Math.PI / 180;
+
+                if (style === 'dots') {
+                    svg.appendChild(this.svg('circle', {
+                        cx: 100 + 88 * Math.cos(angle),
+                        cy: 100 + 88 * Math.sin(angle),
+                        r: isHour ? 2.5 : 1,
+                        fill: theme.ticks
+                    }));
+                } else {
+                    const inner = isHour ? 80 : 85;
+                    svg.appendChild(this.svg('line', {
+                        x1: 100 + inner * Math.cos(angle),
+                        y1: 100 + inner * Math.sin(angle),
+                        x2: 100 + 91 * Math.cos(angle),
+                        y2: 100 + 91 * Math.sin(angle),
+                        stroke: theme.ticks,
+                        'stroke-width': isHour ? 3 : 1,
+                        'stroke-linecap': 'round'
+                    }));
+                }
+            }
+        },
+
+        buildNumerals(svg, theme) {
+            const style = this.props.numerals || 'arabic';
+            if (style === 'none') return;
+
+            for (let i = 0; i < 12; i++) {
+                const angle = (i * 30 - 90) * Math.PI / 180;
+                const text = this.svg('text', {
+                    x: 100 + 68 * Math.cos(angle),
+                    y: 100 + 68 * Math.sin(angle),
+                    'text-anchor': 'middle',
+                    'dominant-baseline': 'central',
+                    'font-size': style === 'roman' ? 11 : 14,
+                    fill: theme.numerals
                 });
+                text.textContent = style === 'roman' ? this.ROMAN[i] : String(i === 0 ? 12 : i);
+                svg.appendChild(text);
+            }
+        },
+
+        buildSubdial(svg, zone, cx, cy, theme) {
+            const r = 17;
+            svg.appendChild(this.svg('circle', {
+                cx, cy, r, fill: 'none', stroke: theme.ticks, 'stroke-width': 1
+            }));
+
+            for (let i = 0; i < 12; i++) {
+                const angle = (i * 30 - 90) * Math.PI / 180;
+                svg.appendChild(this.svg('circle', {
+                    cx: cx + (r - 3) * Math.cos(angle),
+                    cy: cy + (r - 3) * Math.sin(angle),
+                    r: 0.8,
+                    fill: theme.ticks
+                }));
             }
-        }
 
-        updateClock();
-        const intervalId = setInterval(updateClock, 1000);
+            const label = this.svg('text', {
+                x: cx, y: cy + r + 7, 'text-anchor': 'middle', 'font-size': 7, fill: theme.numerals, opacity: 0.7
+            });
+            label.textContent = zone.label || (zone.timezone || '').split('/').pop().replace(/_/g, ' ');
+            svg.appendChild(label);
+
+            return {
+                timezone: zone.timezone,
+                hour: this.buildHand(svg, cx, cy, 9, 2, theme.hands),
+                minute: this.buildHand(svg, cx, cy, 13, 1.2, theme.hands)
+            };
+        },
+
+        buildHand(svg, cx, cy, length, width, color, tail = 8) {
+            const hand = this.svg('line', {
+                x1: cx, y1: cy + tail, x2: cx, y2: cy - length,
+                stroke: color, 'stroke-width': width, 'stroke-linecap': 'round'
+            });
+            hand.dataset.cx = cx;
+            hand.dataset.cy = cy;
+            svg.appendChild(hand);
+            return hand;
+        },
+
+        start() {
+            this.tick();
+            if (this.props.mode === 'sweep') {
+                const loop = () => {
+                    this.tick();
+                    this.frameId = requestAnimationFrame(loop);
+                };
+                this.frameId = requestAnimationFrame(loop);
+            } else {
+                // Align to the next whole second so the hand ticks on time
+                this.alignTimeout = setTimeout(() => {
+                    this.tick();
+                    this.intervalId = setInterval(() => this.tick(), 1000);
+                }, 1000 - new Date().getMilliseconds());
+            }
+        },
 
-        // Store interval ID for cleanup
-        container.dataset.intervalId = intervalId;
+        stop() {
+            cancelAnimationFrame(this.frameId);
+            clearTimeout(this.alignTimeout);
+            clearInterval(this.intervalId);
+        },
 
-        container.appendChild(timeEl);
-        if (props?.show_date !== false) {
-            container.appendChild(dateEl);
-        }
+        tick() {
+            const now = new Date();
+            const sweep = this.props.mode === 'sweep';
+            const t = this.timeIn(now, this.props.timezone);
 
-        return container;
-    },
+            const seconds = t.s + (sweep ? now.getMilliseconds() / 1000 : 0);
+            const minutes = t.m + (sweep ? seconds / 60 : 0);
+            const hours = (t.h % 12) + minutes / 60;
 
-    /**
-     * Render analog clock (fallback to digital for now).
-     */
-    clock_analog(data, props) {
-        // TODO: Implement SVG-based analog clock
-        return this.clock_digital(data, props);
+            this.rotate(this.hands.hour, hours * 30);
+            this.rotate(this.hands.minute, minutes * 6);
+            if (this.hands.second) {
+                this.rotate(this.hands.second, seconds * 6);
+            }
+
+            this.subdials.forEach(dial => {
+                const z = this.timeIn(now, dial.timezone);
+                this.rotate(dial.hour, ((z.h % 12) + z.m / 60) * 30);
+                this.rotate(dial.minute, z.m * 6);
+            });
+        },
+
+        rotate(hand, degrees) {
+            hand.setAttribute('transform', `rotate(${degrees} ${hand.dataset.cx} ${hand.dataset.cy})`);
+        },
+
+        /**
+         * Get { h, m, s } for a time zone (device time if none).
+         */
+        timeIn(date, timeZone) {
+            if (!timeZone) {
+                return { h: date.getHours(), m: date.getMinutes(), s: date.getSeconds() };
+            }
+
+            const parts = this.formatter(timeZone).formatToParts(date);
+            const get = type => parseInt(parts.find(p => p.type === type).value, 10);
+            return { h: get('hour'), m: get('minute'), s: get('second') };
+        },
+
+        /**
+         * Cached formatter for a time zone.
+         * @throws {RangeError} If the time zone is unknown
+         */
+        formatter(timeZone) {
+            if (!this.formatters[timeZone]) {
+                this.formatters[timeZone] = new Intl.DateTimeFormat('en-US', {
+                    timeZone,
+                    hour: 'numeric',
+                    minute: 'numeric',
+                    second: 'numeric',
+                    hourCycle: 'h23'
+                });
+            }
+            return this.formatters[timeZone];
+        },
+
+        svg(tag, attrs = {}) {
+            const el = document.createElementNS('http://www.w3.org/2000/svg', tag);
+            Object.entries(attrs).forEach(([key, value]) => {
+                // Paint goes through style so theme var() colours resolve
+                if (key === 'fill' || key === 'stroke') {
+                    el.style[key] = value;
+                } else {
+                    el.setAttribute(key, value);
+                }
+            });
+            return el;
+        }
     },
 
     // -------------------------------------------------------------------------
-    // Weather Component
+    // Weather Components
     // -------------------------------------------------------------------------
 
     /**
      * Render current weather.
+     * Optional details: feels_like, humidity, wind_speed, wind_direction,
+     * sunrise, sunset.
      */
     weather_current(data, props) {
         const container = document.createElement('div');
         container.className = 'weather-current';
 
         const icon = Helpers.getWeatherIcon(data?.condition || 'sunny');
-        const temp = data?.temperature || '--';
-        const units = props?.units || CONFIG.WEATHER_UNITS || 'fahrenheit';
-        const unit = units === 'celsius' ? '\u00B0C' : '\u00B0F';
+        const unit = this._temperatureUnit(props);
 
         container.innerHTML = `
             <div class="weather-icon">${icon}</div>
-            <div class="weather-temp">${temp}${unit}</div>
+            <div class="weather-temp">${this._formatTemperature(data?.temperature)}${unit}</div>
             <div class="weather-location">${Helpers.escapeHtml(data?.location || '')}</div>
-            ${data?.is_placeholder ? '<div class="weather-placeholder">Demo data</div>' : ''}
+            ${data?.is_placeholder ? `<div class="weather-placeholder">${I18n.t('weather.demo_data')}</div>` : ''}
         `;
 
+        // [label, plain-text value]; values are escaped when inserted
+        const details = [];
+        if (data?.feels_like !== undefined && data?.feels_like !== null) {
+            details.push([I18n.t('weather.feels_like'), `${this._temperatureText(data.feels_like)}${unit}`]);
+        }
+        if (data?.humidity !== undefined && data?.humidity !== null) {
+            details.push([I18n.t('weather.humidity'), Helpers.formatNumber(data.humidity / 100, { style: 'percent' })]);
+        }
+        if (data?.wind_speed !== undefined && data?.wind_speed !== null) {
+            const windUnit = data.wind_unit || (this._isCelsius(props) ? 'km/h' : 'mph');
+            const direction = Helpers.getWindDirection(data.wind_direction);
+            details.push([I18n.t('weather.wind'), `${Helpers.formatNumber(Math.round(data.wind_speed))} ${windUnit}${direction ? ' ' + direction : ''}`]);
+        }
+        if (data?.sunrise) {
+            details.push([I18n.t('weather.sunrise'), Helpers.formatTime(data.sunrise)]);
+        }
+        if (data?.sunset) {
+            details.push([I18n.t('weather.sunset'), Helpers.formatTime(data.sunset)]);
+        }
+
+        if (details.length > 0) {
+            const list = document.createElement('div');
+            list.className = 'weather-details';
+            details.forEach(([label, value]) => {
+                const item = document.createElement('div');
+                item.className = 'weather-detail';
+                item.innerHTML = `
+                    <span class="weather-detail-label">${label}</span>
+                    <span class="weather-detail-value">${Helpers.escapeHtml(value)}</span>
+                `;
+                list.appendChild(item);
+            });
+            container.appendChild(list);
+        }
+
+        return container;
+    },
+
+    /**
+     * Render a weather forecast.
+     * Props: mode ('daily' uses data.forecast, 'hourly' uses data.hourly),
+     * max_items, units.
+     */
+    weather_forecast(data, props) {
+        const hourly = props?.mode === 'hourly';
+        const container = document.createElement('div');
+        container.className = `weather-forecast weather-forecast-${hourly ? 'hourly' : 'daily'}`;
+
+        const items = (hourly ? data?.hourly : data?.forecast) || [];
+        const maxItems = props?.max_items || (hourly ? 12 : 7);
+        const unit = this._temperatureUnit(props);
+
+        if (data?.location) {
+            const title = document.createElement('h3');
+            title.textContent = data.location;
+            container.appendChild(title);
+        }
+
+        if (items.length === 0) {
+            container.innerHTML += `<p class="no-events">${I18n.t('weather.no_forecast')}</p>`;
+            return container;
+        }
+
+        const list = document.createElement('div');
+        list.className = 'weather-forecast-list';
+        container.appendChild(list);
+
+        if (hourly) {
+            items.slice(0, maxItems).forEach(hour => {
+                const el = document.createElement('div');
+                el.className = 'weather-forecast-hour';
+                el.innerHTML = `
+                    <div class="weather-forecast-label">${Helpers.escapeHtml(hour.time ? Helpers.formatTime(hour.time) : '')}</div>
+                    <div class="weather-forecast-icon">${Helpers.getWeatherIcon(hour.condition)}</div>
+                    <div class="weather-forecast-temp">${this._formatTemperature(hour.temperature ?? hour.temp)}${unit}</div>
+                    ${this._precipitationHtml(hour)}
+                `;
+                list.appendChild(el);
+            });
+            return container;
+        }
+
+        const days = items.slice(0, maxItems).map(day => ({
+            day,
+            high: Number(day.high ?? day.max_temp),
+            low: Number(day.low ?? day.min_temp)
+        }));
+
+        // High/low bars share one scale across the whole forecast
+        const known = days.flatMap(d => [d.high, d.low]).filter(t => !isNaN(t));
+        const scaleMin = Math.min(...known);
+        const scaleRange = Math.max(Math.max(...known) - scaleMin, 1);
+
+        days.forEach(({ day, high, low }) => {
+            const el = document.createElement('div');
+            el.className = 'weather-forecast-day';
+            el.innerHTML = `
+                <div class="weather-forecast-label">${Helpers.escapeHtml(this._forecastDayLabel(day))}</div>
+                <div class="weather-forecast-icon">${Helpers.getWeatherIcon(day.condition)}</div>
+                ${this._precipitationHtml(day)}
+                <div class="weather-forecast-low">${this._formatTemperature(low)}${unit}</div>
+                <div class="weather-forecast-bar"><div class="weather-forecast-range"></div></div>
+                <div class="weather-forecast-high">${this._formatTemperature(high)}${unit}</div>
+            `;
+
+            const range = el.querySelector('.weather-forecast-range');
+            if (isNaN(high) || isNaN(low)) {
+                range.hidden = true;
+            } else {
+                range.style.left = `${((low - scaleMin) / scaleRange) * 100}%`;
+                range.style.width = `${((high - low) / scaleRange) * 100}%`;
+            }
+
+            list.appendChild(el);
+        });
+
         return container;
     },
 
@@ -280,14 +836,14 @@ const ComponentRenderers = {
         }
 
         if (data?.empty) {
-            container.innerHTML = '<p>No upcoming events</p>';
+            container.innerHTML = `<p>${I18n.t('calendar.no_events')}</p>`;
             return container;
         }
 
         let seconds = data?.seconds_until || 0;
 
         container.innerHTML = `
-            <div class="countdown-label">${Helpers.escapeHtml(data?.target_label || 'Countdown')}</div>
+            <div class="countdown-label">${Helpers.escapeHtml(data?.target_label || I18n.t('countdown.label'))}</div>
             <div class="countdown-display">${Helpers.formatDuration(seconds)}</div>
         `;
 
@@ -413,7 +969,7 @@ const ComponentRenderers = {
 
             container.innerHTML = `
                 <div style="display: flex; align-items: center; gap: 8px; margin-bottom: 16px;">
-                    <h3>\uD83D\uDCC4 ${Helpers.escapeHtml(data?.title || 'Document')}</h3>
+                    <h3>\uD83D\uDCC4 ${Helpers.escapeHtml(data?.title || I18n.t('doc.untitled'))}</h3>
                     <span class="ai-badge">\u2728 AI</span>
                 </div>
                 <div class="ai-content">${formattedContent}</div>
@@ -429,11 +985,11 @@ const ComponentRenderers = {
             : '';
 
         container.innerHTML = `
-            <h3>\uD83D\uDCC4 ${Helpers.escapeHtml(data?.title || 'Document')}</h3>
+            <h3>\uD83D\uDCC4 ${Helpers.escapeHtml(data?.title || I18n.t('doc.untitled'))}</h3>
             ${data?.summary ? `<p class="doc-summary-text">${Helpers.escapeHtml(data.summary)}</p>` : ''}
             ${data?.preview_text ? `<p class="doc-summary-text" style="opacity: 0.7;">${Helpers.escapeHtml(data.preview_text)}</p>` : ''}
             ${keyPointsHtml}
-            ${data?.last_modified ? `<div class="doc-last-modified">Last modified: ${new Date(data.last_modified).toLocaleDateString()}</div>` : ''}
+            ${data?.last_modified ? `<div class="doc-last-modified">${Helpers.escapeHtml(I18n.t('doc.last_modified', { date: Helpers.formatDate(data.last_modified, { dateStyle: 'medium' }) }))}</div>` : ''}
         `;
 
         return container;
@@ -447,7 +1003,7 @@ const ComponentRenderers = {
     },
 
     // -------------------------------------------------------------------------
-    // Unknown Component Fallback
+    // Fallback Renderers
     // -------------------------------------------------------------------------
 
     /**
@@ -456,7 +1012,22 @@ const ComponentRenderers = {
     unknown(type) {
         const el = document.createElement('div');
         el.className = 'unknown-component';
-        el.textContent = `Unknown component: ${type}`;
+        el.textContent = I18n.t('component.unknown', { type });
+        return el;
+    },
+
+    /**
+     * Render compact error tile for a component that failed to render.
+     * Used by SceneRenderer's per-component error boundary.
+     */
+    _errorTile(type, message) {
+        const el = document.createElement('div');
+        el.className = 'component-error-tile';
+        el.innerHTML = `
+            <div class="component-error-icon">\u26A0\uFE0F</div>
+            <div class="component-error-type">${Helpers.escapeHtml(type || 'component')}</div>
+            <div class="component-error-message">${Helpers.escapeHtml(Helpers.truncate(message, 120))}</div>
+        `;
         return el;
     },
 
@@ -464,6 +1035,173 @@ const ComponentRenderers = {
     // Helper Methods
     // -------------------------------------------------------------------------
 
+    /**
+     * Pick the date a calendar view is centred on: props.date, then the data
+     * range (start_date / range_start), then the earliest event, then today.
+     */
+    _calendarAnchorDate(data, props) {
+        const explicit = Helpers.parseDate(props?.date) ||
+            Helpers.parseDate(data?.start_date) ||
+            Helpers.parseDate(data?.range_start);
+        if (explicit) return explicit;
+
+        const starts = this._normalizeEvents(data?.events).map(event => event.start);
+        return starts.length > 0 ? new Date(Math.min(...starts)) : new Date();
+    },
+
+    /**
+     * Parse calendar events into { source, title, color, allDay, start, end }.
+     * All-day end dates are exclusive; missing ends default to one hour
+     * (timed) or one day (all-day). Events without a valid start are dropped.
+     */
+    _normalizeEvents(events) {
+        if (!Array.isArray(events)) return [];
+
+        return events
+            .map(event => {
+                const start = Helpers.parseDate(event?.start);
+                if (!start) return null;
+
+                const allDay = Boolean(event.is_all_day);
+                let end = Helpers.parseDate(event.end);
+                if (allDay) {
+                    const first = Helpers.startOfDay(start);
+                    end = end && end > first ? end : Helpers.addDays(first, 1);
+                    return { source: event, title: event.title, color: event.color, allDay, start: first, end };
+                }
+                if (!end || end <= start) {
+                    end = new Date(start.getTime() + 3600000);
+                }
+                return { source: event, title: event.title, color: event.color, allDay, start, end };
+            })
+            .filter(Boolean)
+            .sort((a, b) => (b.allDay - a.allDay) || (a.start - b.start));
+    },
+
+    /**
+     * Get the normalized events that overlap a local day.
+     */
+    _eventsOnDay(events, day) {
+        const dayStart = Helpers.startOfDay(day);
+        const dayEnd = Helpers.addDays(dayStart, 1);
+        return events.filter(event => event.start < dayEnd && event.end > dayStart);
+    },
+
+    /**
+     * Assign side-by-side columns to overlapping blocks ({ top, bottom }).
+     * Blocks in the same overlap cluster share its column count.
+     */
+    _layoutOverlaps(blocks) {
+        const sorted = [...blocks].sort((a, b) => (a.top - b.top) || (b.bottom - a.bottom));
+        let cluster = [];
+        let columnEnds = [];
+        let clusterEnd = -Infinity;
+
+        const closeCluster = () => {
+            cluster.forEach(block => { block.columns = columnEnds.length; });
+            cluster = [];
+            columnEnds = [];
+        };
+
+        sorted.forEach(block => {
+            if (block.top >= clusterEnd) {
+                closeCluster();
+            }
+
+            let column = columnEnds.findIndex(end => end <= block.top);
+            if (column === -1) {
+                column = columnEnds.length;
+                columnEnds.push(block.bottom);
+            } else {
+                columnEnds[column] = block.bottom;
+            }
+
+            block.column = column;
+            cluster.push(block);
+            clusterEnd = Math.max(clusterEnd, block.bottom);
+        });
+        closeCluster();
+
+        return sorted;
+    },
+
+    /**
+     * Build an event chip (used by the week and month grids).
+     */
+    _eventChip(event, showTime) {
+        const chip = document.createElement('div');
+        chip.className = 'calendar-event-chip';
+        chip.style.setProperty('--event-color', event.color || '#4285f4');
+
+        if (showTime) {
+            const time = document.createElement('span');
+            time.className = 'calendar-event-chip-time';
+            time.textContent = Helpers.formatTime(event.start);
+            chip.appendChild(time);
+        }
+
+        const title = document.createElement('span');
+        title.className = 'calendar-event-chip-title';
+        title.textContent = event.title || '';
+        chip.appendChild(title);
+
+        return chip;
+    },
+
+    /**
+     * Check if a weather component displays Celsius.
+     */
+    _isCelsius(props) {
+        return (props?.units || CONFIG.WEATHER_UNITS || 'fahrenheit') === 'celsius';
+    },
+
+    /**
+     * Get the temperature unit suffix for a weather component.
+     */
+    _temperatureUnit(props) {
+        return this._isCelsius(props) ? '\u00B0C' : '\u00B0F';
+    },
+
+    /**
+     * Format a temperature value for HTML (numbers are rounded, missing shows --).
+     */
+    _formatTemperature(value) {
+        return Helpers.escapeHtml(this._temperatureText(value));
+    },
+
+    /**
+     * Temperature value as plain text (not escaped).
+     */
+    _temperatureText(value) {
+        if (value === undefined || value === null || value === '') return '--';
+        const number = Number(value);
+        return isNaN(number) ? String(value) : Helpers.formatNumber(Math.round(number));
+    },
+
+    /**
+     * Get the label for a forecast day: day.day, else Today / weekday of day.date.
+     */
+    _forecastDayLabel(day) {
+        if (day.day) return day.day;
+
+        const date = Helpers.parseDate(day.date);
+        if (!date) return '';
+        if (Helpers.isSameDay(date, new Date())) return I18n.t('weather.today');
+        return Helpers.formatDate(date, { weekday: 'short' });
+    },
+
+    /**
+     * Build the precipitation chance badge for a forecast entry.
+     * Reads precipitation_chance (0-100) or pop (0-1).
+     */
+    _precipitationHtml(entry) {
+        const chance = entry.precipitation_chance ?? (entry.pop !== undefined ? entry.pop * 100 : null);
+        if (chance === null || chance === undefined || isNaN(chance)) {
+            return '<div class="weather-forecast-precip"></div>';
+        }
+        return `<div class="weather-forecast-precip">\uD83D\uDCA7 ${Helpers.formatNumber(Math.round(chance) / 100, { style: 'percent' })}</div>`;
+    },
+
     /**
      * Format AI-generated content for display.
      */
@@ -0,0 +1,360 @@
+/* =============================================================================
+   XENTAURI PI SCREEN - Custom Layout Execution Context
+   ============================================================================= */
+
+/**
+ * Tracks resources started by demo-mode custom layout scripts so they can be
+ * torn down when the layout is cleared.
+ *
+ * While any context is installed, the global timer, animation frame,
+ * addEventListener and fetch functions and Promise.prototype.then are
+ * wrapped. The wrappers are shared: they are installed once and restored
+ * when the last context is disposed, so an outgoing layout can be disposed
+ * after the next one has installed without undoing its tracking.
+ *
+ * Calls are tracked for the context whose layout code is executing: the
+ * script bodies themselves, captured DOMContentLoaded/load callbacks, any
+ * callback of an already tracked resource, and promise callbacks (including
+ * fetch().then chains) registered by layout code. Calls from the rest of the
+ * app pass straight through.
+ *
+ * Not tracked: code that resumes after `await` in an async function (the
+ * engine resumes it without calling a wrapper). Resources it starts are not
+ * cancelled on dispose.
+ */
+class LayoutExecutionContext {
+    // Contexts currently installed
+    static contexts = new Set();
+
+    // Contexts whose layout code is executing (innermost last)
+    static running = [];
+
+    // Original globals, saved while any context is installed
+    static originals = null;
+
+    constructor() {
+        // Tracked resources
+        this.timeouts = new Set();
+        this.intervals = new Set();
+        this.animationFrames = new Set();
+        this.listeners = [];
+        this.fetches = new Set();
+
+        this.installed = false;
+        this.disposed = false;
+    }
+
+    // -------------------------------------------------------------------------
+    // Execution
+    // -------------------------------------------------------------------------
+
+    /**
+     * Run a function as layout code (resources it starts are tracked).
+     * @param {Function} fn - Function to run
+     * @param {Object} thisArg - `this` for the call
+     * @param {Array} args - Arguments for the call
+     * @returns {*} Return value of fn
+     */
+    run(fn, thisArg = window, args = []) {
+        const running = LayoutExecutionContext.running;
+        running.push(this);
+        try {
+            return fn.apply(thisArg, args);
+        } finally {
+            running.pop();
+        }
+    }
+
+    /**
+     * Check if this context's layout code is currently executing.
+     * @returns {boolean}
+     */
+    isTracking() {
+        return LayoutExecutionContext.current() === this;
+    }
+
+    /**
+     * Context of the layout code currently executing.
+     * @returns {LayoutExecutionContext|null}
+     */
+    static current() {
+        const running = LayoutExecutionContext.running;
+        const ctx = running[running.length - 1];
+        return ctx && ctx.installed && !ctx.disposed ? ctx : null;
+    }
+
+    /**
+     * Wrap a callback so it runs as layout code.
+     * @param {Function|string} fn - Callback (string timer code is left as-is)
+     * @returns {Function|string} Wrapped callback
+     */
+    wrap(fn) {
+        if (typeof fn !== 'function') return fn;
+
+        const ctx = this;
+        return function(...args) {
+            if (ctx.disposed) return undefined;
+            return ctx.run(fn, this, args);
+        };
+    }
+
+    /**
+     * Timer callback as a function: string timer code is evaluated in global
+     * scope, as the browser would, so it runs (and is tracked) as layout code.
+     * @param {Function|string} fn - setTimeout / setInterval handler
+     * @returns {Function}
+     */
+    timerCallback(fn) {
+        if (typeof fn === 'function') return fn;
+        const code = String(fn);
+        return () => (0, eval)(code);
+    }
+
+    // -------------------------------------------------------------------------
+    // Install / Dispose
+    // -------------------------------------------------------------------------
+
+    /**
+     * Start tracking for this context (installs the shared wrappers if no
+     * other context has).
+     */
+    install() {
+        if (this.installed || this.disposed) return;
+
+        if (!LayoutExecutionContext.originals) {
+            LayoutExecutionContext._patchGlobals();
+        }
+        LayoutExecutionContext.contexts.add(this);
+        this.installed = true;
+    }
+
+    /**
+     * Cancel every tracked resource. The original globals are restored once
+     * no other context is installed.
+     * @returns {Object} Counts of resources that were still active
+     */
+    dispose() {
+        const stats = this.getStats();
+
+        if (this.installed) {
+            const originals = LayoutExecutionContext.originals;
+
+            this.timeouts.forEach(id => originals.clearTimeout.call(window, id));
+            this.intervals.forEach(id => originals.clearInterval.call(window, id));
+            this.animationFrames.forEach(id => originals.cancelAnimationFrame.call(window, id));
+            this.listeners.forEach(entry => {
+                originals.removeEventListener.call(entry.target, entry.type, entry.wrapped, entry.options);
+            });
+            this.fetches.forEach(controller => controller.abort());
+
+            LayoutExecutionContext.contexts.delete(this);
+            if (LayoutExecutionContext.contexts.size === 0) {
+                LayoutExecutionContext._restoreGlobals();
+            }
+        }
+
+        this.timeouts.clear();
+        this.intervals.clear();
+        this.animationFrames.clear();
+        this.listeners = [];
+        this.fetches.clear();
+        this.installed = false;
+        this.disposed = true;
+
+        return stats;
+    }
+
+    /**
+     * Replace the global functions with tracking wrappers. Each wrapper
+     * records the resource on the context whose code is executing.
+     */
+    static _patchGlobals() {
+        const contexts = LayoutExecutionContext.contexts;
+        const current = () => LayoutExecutionContext.current();
+        const proto = EventTarget.prototype;
+        const originals = {
+            setTimeout: window.setTimeout,
+            clearTimeout: window.clearTimeout,
+            setInterval: window.setInterval,
+            clearInterval: window.clearInterval,
+            requestAnimationFrame: window.requestAnimationFrame,
+            cancelAnimationFrame: window.cancelAnimationFrame,
+            addEventListener: proto.addEventListener,
+            removeEventListener: proto.removeEventListener,
+            fetch: window.fetch,
+            then: Promise.prototype.then
+        };
+        LayoutExecutionContext.originals = originals;
+
+        window.setTimeout = function(fn, delay, ...args) {
+            const ctx = current();
+            if (!ctx) {
+                return originals.setTimeout.call(window, fn, delay, ...args);
+            }
+            const wrapped = ctx.wrap(ctx.timerCallback(fn));
+            const id = originals.setTimeout.call(window, function(...cbArgs) {
+                ctx.timeouts.delete(id);
+                return wrapped.apply(this, cbArgs);
+            }, delay, ...args);
+            ctx.timeouts.add(id);
+            return id;
+        };
+
+        window.clearTimeout = function(id) {
+            contexts.forEach(ctx => ctx.timeouts.delete(id));
+            return originals.clearTimeout.call(window, id);
+        };
+
+        window.setInterval = function(fn, delay, ...args) {
+            const ctx = current();
+            if (!ctx) {
+                return originals.setInterval.call(window, fn, delay, ...args);
+            }
+            const id = originals.setInterval.call(window, ctx.wrap(ctx.timerCallback(fn)), delay, ...args);
+            ctx.intervals.add(id);
+            return id;
+        };
+
+        window.clearInterval = function(id) {
+            contexts.forEach(ctx => ctx.intervals.delete(id));
+            return originals.clearInterval.call(window, id);
+        };
+
+        window.requestAnimationFrame = function(fn) {
+            const ctx = current();
+            if (!ctx) {
+                return originals.requestAnimationFrame.call(window, fn);
+            }
+            const wrapped = ctx.wrap(fn);
+            const id = originals.requestAnimationFrame.call(window, function(timestamp) {
+                ctx.animationFrames.delete(id);
+                return wrapped.call(this, timestamp);
+            });
+            ctx.animationFrames.add(id);
+            return id;
+        };
+
+        window.cancelAnimationFrame = function(id) {
+            contexts.forEach(ctx => ctx.animationFrames.delete(id));
+            return originals.cancelAnimationFrame.call(window, id);
+        };
+
+        proto.addEventListener = function(type, listener, options) {
+            const ctx = current();
+            if (!ctx || !listener) {
+                return originals.addEventListener.call(this, type, listener, options);
+            }
+            const callback = typeof listener === 'function'
+                ? ctx.wrap(listener)
+                : ctx.wrap(function(event) { return listener.handleEvent(event); });
+            const entry = { target: this, type, listener, wrapped: null, options };
+            // once-listeners drop out of the tracked list when they fire
+            entry.wrapped = options?.once
+                ? function(...args) {
+                    ctx.listeners = ctx.listeners.filter(e => e !== entry);
+                    return callback.apply(this, args);
+                }
+                : callback;
+            ctx.listeners.push(entry);
+            return originals.addEventListener.call(this, type, entry.wrapped, options);
+        };
+
+        proto.removeEventListener = function(type, listener, options) {
+            const capture = LayoutExecutionContext._captureFlag(options);
+            for (const ctx of contexts) {
+                const index = ctx.listeners.findIndex(entry =>
+                    entry.target === this &&
+                    entry.type === type &&
+                    entry.listener === listener &&
+                    LayoutExecutionContext._captureFlag(entry.options) === capture
+                );
+                if (index !== -1) {
+                    const [entry] = ctx.listeners.splice(index, 1);
+                    return originals.removeEventListener.call(this, type, entry.wrapped, options);
+                }
+            }
+            return originals.removeEventListener.call(this, type, listener, options);
+        };
+
+        if (originals.fetch) {
+            window.fetch = function(input, init = {}) {
+                const ctx = current();
+                if (!ctx) {
+                    return originals.fetch.call(window, input, init);
+                }
+                const controller = new AbortController();
+                if (init.signal) {
+                    if (init.signal.aborted) controller.abort();
+                    originals.addEventListener.call(init.signal, 'abort', () => controller.abort());
+                }
+                ctx.fetches.add(controller);
+                const request = originals.fetch.call(window, input, { ...init, signal: controller.signal });
+                originals.then.call(request, () => ctx.fetches.delete(controller), () => ctx.fetches.delete(controller));
+                return request;
+            };
+        }
+
+        // Promise callbacks registered by layout code run as layout code
+        // (catch/finally go through then)
+        Promise.prototype.then = function(onFulfilled, onRejected) {
+            const ctx = current();
+            if (!ctx) {
+                return originals.then.call(this, onFulfilled, onRejected);
+            }
+            return originals.then.call(this, ctx.wrap(onFulfilled), ctx.wrap(onRejected));
+        };
+    }
+
+    /**
+     * Put the original global functions back.
+     */
+    static _restoreGlobals() {
+        const originals = LayoutExecutionContext.originals;
+        if (!originals) return;
+
+        window.setTimeout = originals.setTimeout;
+        window.clearTimeout = originals.clearTimeout;
+        window.setInterval = originals.setInterval;
+        window.clearInterval = originals.clearInterval;
+        window.requestAnimationFrame = originals.requestAnimationFrame;
+        window.cancelAnimationFrame = originals.cancelAnimationFrame;
+        EventTarget.prototype.addEventListener = originals.addEventListener;
+        EventTarget.prototype.removeEventListener = originals.removeEventListener;
+        if (originals.fetch) {
+            window.fetch = originals.fetch;
+        }
+        Promise.prototype.then = originals.then;
+
+        LayoutExecutionContext.originals = null;
+    }
+
+    // -------------------------------------------------------------------------
+    // Status
+    // -------------------------------------------------------------------------
+
+    /**
+     * Get counts of currently active tracked resources.
+     * @returns {Object} { timeouts, intervals, animationFrames, listeners, fetches, total }
+     */
+    getStats() {
+        const stats = {
+            timeouts: this.timeouts.size,
+            intervals: this.intervals.size,
+            animationFrames: this.animationFrames.size,
+            listeners: this.listeners.length,
+            fetches: this.fetches.size
+        };
+        stats.total = Object.values(stats).reduce((sum, n) => sum + n, 0);
+        return stats;
+    }
+
+    /**
+     * Normalize addEventListener options to the capture flag.
+     */
+    static _captureFlag(options) {
+        return typeof options === 'boolean' ? options : Boolean(options?.capture);
+    }
+}
+
+// Make globally available
+window.LayoutExecutionContext = LayoutExecutionContext;
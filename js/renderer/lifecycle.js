@@ -0,0 +1,155 @@
+/* =============================================================================
+   XENTAURI PI SCREEN - Component Lifecycle
+   ============================================================================= */
+
+/**
+ * Lifecycle management for scene components.
+ *
+ * A ComponentRenderers entry is either a plain function returning an Element
+ * (legacy style) or a definition object:
+ *
+ *   {
+ *     mount(data, props)   -> Element   (required)
+ *     update(data, props)              (optional, default: remount)
+ *     unmount()                        (optional)
+ *     narrate()            -> string   (optional, speech text for TTS)
+ *   }
+ *
+ * Each rendered component gets its own instance created with
+ * Object.create(definition), so `this` inside the methods is per-component
+ * state. `this.element` holds the mounted root element; `this.data` and
+ * `this.props` hold the values it was last mounted or updated with.
+ */
+const ComponentLifecycle = {
+    // -------------------------------------------------------------------------
+    // Instances
+    // -------------------------------------------------------------------------
+
+    /**
+     * Create and mount a component instance.
+     * @param {Function|Object} definition - Renderer function or lifecycle object
+     * @param {Object} component - Component data ({ id, type, data, props })
+     * @param {Object} thisArg - `this` for function-style renderers
+     * @returns {Object} Mounted instance
+     */
+    create(definition, component, thisArg = null) {
+        const base = typeof definition === 'function'
+            ? this.fromFunction(definition, thisArg)
+            : definition;
+
+        const instance = Object.create(base);
+        instance.componentId = component.id;
+        instance.componentType = component.type;
+        instance.data = component.data;
+        instance.props = component.props;
+        instance.element = instance.mount(component.data, component.props);
+        instance.mounted = true;
+        return instance;
+    },
+
+    /**
+     * Update a mounted instance with new data/props.
+     * Instances without update() are unmounted and mounted again in place.
+     * @param {Object} instance - Mounted instance
+     * @param {Object} data - New data
+     * @param {Object} props - New props
+     */
+    update(instance, data, props) {
+        instance.data = data;
+        instance.props = props;
+
+        if (typeof instance.update === 'function') {
+            instance.update(data, props);
+            return;
+        }
+
+        const previous = instance.element;
+        this.unmount(instance);
+        instance.element = instance.mount(data, props);
+        instance.mounted = true;
+        if (previous && previous.parentNode) {
+            previous.replaceWith(instance.element);
+        }
+    },
+
+    /**
+     * Unmount an instance, releasing its timers and resources.
+     * @param {Object} instance - Mounted instance
+     */
+    unmount(instance) {
+        if (!instance || !instance.mounted) return;
+
+        instance.mounted = false;
+        if (typeof instance.unmount === 'function') {
+            try {
+                instance.unmount();
+            } catch (e) {
+                console.error(`[ComponentLifecycle] Error unmounting ${instance.componentType}:`, e);
+            }
+        }
+    },
+
+    /**
+     * Get speech text from an instance, if it provides narrate().
+     * @param {Object} instance - Mounted instance
+     * @returns {string|null} Speech text or null
+     */
+    narrate(instance) {
+        if (!instance || typeof instance.narrate !== 'function') {
+            return null;
+        }
+        return instance.narrate() || null;
+    },
+
+    // -------------------------------------------------------------------------
+    // Function Adapter
+    // -------------------------------------------------------------------------
+
+    /**
+     * Wrap a legacy function renderer in the lifecycle contract.
+     * Updates re-render and swap the element; intervals stored in
+     * data-interval-id attributes are cleared on update and unmount.
+     * @param {Function} render - (data, props) => Element
+     * @param {Object} thisArg - `this` for render calls
+     * @returns {Object} Lifecycle definition
+     */
+    fromFunction(render, thisArg) {
+        return {
+            mount(data, props) {
+                return render.call(thisArg, data, props);
+            },
+
+            update(data, props) {
+                const next = render.call(thisArg, data, props);
+                ComponentLifecycle.clearIntervals(this.element);
+                if (this.element.parentNode) {
+                    this.element.replaceWith(next);
+                }
+                this.element = next;
+            },
+
+            unmount() {
+                ComponentLifecycle.clearIntervals(this.element);
+            }
+        };
+    },
+
+    /**
+     * Clear intervals recorded in data-interval-id attributes under an element.
+     * @param {Element} root - Element to search (inclusive)
+     */
+    clearIntervals(root) {
+        if (!root) return;
+
+        const elements = [root, ...root.querySelectorAll('[data-interval-id]')];
+        elements.forEach(el => {
+            const intervalId = el.dataset?.intervalId;
+            if (intervalId) {
+                clearInterval(parseInt(intervalId));
+            }
+        });
+    }
+};
+
+// Make globally available
+window.ComponentLifecycle = ComponentLifecycle;
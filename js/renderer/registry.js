@@ -0,0 +1,202 @@
+/* =============================================================================
+   XENTAURI PI SCREEN - Component Registry (Plugins)
+   ============================================================================= */
+
+/**
+ * Registry for third-party scene components.
+ *
+ * Plugins are plain scripts listed in CONFIG.PLUGINS.SCRIPTS. They are loaded
+ * before the WebSocket connects and call:
+ *
+ *   ComponentRegistry.register('stock_ticker', {
+ *       renderer: (data, props) => Element,  // or a lifecycle object (mount/update/unmount)
+ *       speech: (data, props) => 'text',      // optional, TTS formatter
+ *       defaultStyle: { background: '#000' }, // optional, under component.style
+ *       schema: { properties: { data: ... } } // optional, JSON schema for the component
+ *   });
+ *
+ * Registered types take precedence over the built-in ComponentRenderers.
+ */
+const ComponentRegistry = {
+    // Registered definitions by component type
+    definitions: new Map(),
+
+    // Result of the last loadPlugins() call
+    pluginStatus: { loaded: [], failed: [] },
+
+    // Types rendered by SceneRenderer itself; they can't be registered
+    STRUCTURAL_TYPES: ['container'],
+
+    // -------------------------------------------------------------------------
+    // Registration
+    // -------------------------------------------------------------------------
+
+    /**
+     * Register a component type.
+     * @param {string} type - Component type name used in scenes
+     * @param {Object} definition - { renderer, speech, defaultStyle, schema }
+     * @returns {boolean} True if registered
+     */
+    register(type, definition) {
+        if (!type || typeof type !== 'string') {
+            console.error('[ComponentRegistry] register() requires a type name');
+            return false;
+        }
+
+        const renderer = definition?.renderer;
+        const validRenderer = typeof renderer === 'function' ||
+            (renderer && typeof renderer.mount === 'function');
+
+        if (!validRenderer) {
+            console.error(`[ComponentRegistry] ${type}: renderer must be a function or have mount()`);
+            return false;
+        }
+
+        if (this.STRUCTURAL_TYPES.includes(type)) {
+            console.error(`[ComponentRegistry] ${type}: reserved component type`);
+            return false;
+        }
+
+        if (this.definitions.has(type) || this._isBuiltIn(type)) {
+            Helpers.debug('ComponentRegistry', `Overriding component type: ${type}`);
+        }
+
+        this.definitions.set(type, {
+            renderer,
+            speech: typeof definition.speech === 'function' ? definition.speech : null,
+            defaultStyle: definition.defaultStyle || null,
+            schema: definition.schema || null
+        });
+
+        Helpers.debug('ComponentRegistry', `Registered component type: ${type}`);
+        return true;
+    },
+
+    /**
+     * Remove a registered component type.
+     * @param {string} type - Component type name
+     */
+    unregister(type) {
+        this.definitions.delete(type);
+    },
+
+    // -------------------------------------------------------------------------
+    // Lookup
+    // -------------------------------------------------------------------------
+
+    /**
+     * Get the renderer for a type (registered first, then built-in).
+     * @param {string} type - Component type
+     * @returns {Function|Object|null} Renderer function or lifecycle object
+     */
+    getRenderer(type) {
+        if (this.definitions.has(type)) {
+            return this.definitions.get(type).renderer;
+        }
+        return this._isBuiltIn(type) ? ComponentRenderers[type] : null;
+    },
+
+    /**
+     * Get the TTS formatter registered for a type.
+     * @param {string} type - Component type
+     * @returns {Function|null} (data, props) => string
+     */
+    getSpeechFormatter(type) {
+        return this.definitions.get(type)?.speech || null;
+    },
+
+    /**
+     * Get the default style registered for a type.
+     * @param {string} type - Component type
+     * @returns {Object} Style object (empty if none)
+     */
+    getDefaultStyle(type) {
+        return this.definitions.get(type)?.defaultStyle || {};
+    },
+
+    /**
+     * Get the JSON schema registered for a type.
+     * @param {string} type - Component type
+     * @returns {Object|null} Schema or null
+     */
+    getSchema(type) {
+        return this.definitions.get(type)?.schema || null;
+    },
+
+    /**
+     * List every renderable component type (built-in and registered).
+     * @returns {string[]} Component type names
+     */
+    getTypes() {
+        const builtIn = Object.keys(ComponentRenderers).filter(type => this._isBuiltIn(type));
+        return [...new Set([...builtIn, ...this.STRUCTURAL_TYPES, ...this.definitions.keys()])];
+    },
+
+    /**
+     * Check if a type is a built-in ComponentRenderers entry
+     * (excludes the unknown fallback and _private helpers).
+     */
+    _isBuiltIn(type) {
+        return Object.prototype.hasOwnProperty.call(ComponentRenderers, type) &&
+            type !== 'unknown' &&
+            !type.startsWith('_');
+    },
+
+    // -------------------------------------------------------------------------
+    // Plugin Loading
+    // -------------------------------------------------------------------------
+
+    /**
+     * Load plugin scripts in order. Failures are logged and skipped.
+     * @param {string[]} urls - Script URLs
+     * @returns {Promise<Object>} { loaded: [urls], failed: [urls] }
+     */
+    async loadPlugins(urls = []) {
+        const status = { loaded: [], failed: [] };
+
+        for (const url of urls) {
+            try {
+                await this._loadScript(url);
+                status.loaded.push(url);
+                Helpers.debug('ComponentRegistry', `Plugin loaded: ${url}`);
+            } catch (e) {
+                status.failed.push(url);
+                console.error(`[ComponentRegistry] Plugin failed to load: ${url}`, e.message);
+            }
+        }
+
+        this.pluginStatus = status;
+        return status;
+    },
+
+    /**
+     * Load a single script tag with a timeout.
+     * @param {string} url - Script URL
+     * @returns {Promise<void>}
+     */
+    _loadScript(url) {
+        return new Promise((resolve, reject) => {
+            const script = document.createElement('script');
+            const timer = setTimeout(() => {
+                script.remove();
+                reject(new Error('Timed out'));
+            }, CONFIG.PLUGINS.LOAD_TIMEOUT);
+
+            script.src = url;
+            script.onload = () => {
+                clearTimeout(timer);
+                resolve();
+            };
+            script.onerror = () => {
+                clearTimeout(timer);
+                script.remove();
+                reject(new Error('Network or script error'));
+            };
+
+            document.head.appendChild(script);
+        });
+    }
+};
+
+// Make globally available
+window.ComponentRegistry = ComponentRegistry;
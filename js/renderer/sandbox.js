@@ -0,0 +1,351 @@
+/* =============================================================================
+   XENTAURI PI SCREEN - Sandboxed Custom Layout Host
+   ============================================================================= */
+
+/**
+ * Production renderer for custom_layout HTML.
+ * Runs the layout inside a sandboxed srcdoc iframe (opaque origin, strict CSP)
+ * and exposes a small postMessage bridge as `window.Xentauri` inside it:
+ *
+ *   Xentauri.getTime()     -> Promise<{ iso, epoch, timezone, offsetMinutes }>
+ *   Xentauri.getScene()    -> Promise<Object|null>  (scene sent with the layout)
+ *   Xentauri.speak(text)   -> Promise<{ speaking: boolean }>
+ *                             (false while speech plays or within SPEAK_COOLDOWN)
+ *   Xentauri.log(...args)  -> void
+ *
+ * The host can also ask the layout for a snapshot of its document
+ * (used by screenshot capture, since the iframe can't be read from outside).
+ */
+const LayoutSandbox = {
+    // Active iframe and the scene it was rendered with
+    iframe: null,
+    scene: null,
+
+    // Bound window message listener
+    messageHandler: null,
+
+    // Pending host -> layout requests by id ({ resolve, reject, timer })
+    requests: {},
+    nextRequestId: 0,
+
+    // Message source tags (layout -> host, host -> layout)
+    LAYOUT_SOURCE: 'xentauri-layout',
+    HOST_SOURCE: 'xentauri-host',
+
+    // Maximum length of a single bridged log line
+    MAX_LOG_LENGTH: 500,
+
+    // Minimum time between speak() calls from one layout (each one is a paid
+    // TTS request)
+    SPEAK_COOLDOWN: 10000,
+
+    // When the mounted layout last started speech (0 = never)
+    lastSpeakAt: 0,
+
+    // -------------------------------------------------------------------------
+    // Mount / Unmount
+    // -------------------------------------------------------------------------
+
+    /**
+     * Render HTML inside a sandboxed iframe.
+     * @param {Element} container - Element to append the iframe to
+     * @param {string} html - Layout HTML (fragment or full document)
+     * @param {Object} scene - Scene exposed to the layout via getScene()
+     * @returns {HTMLIFrameElement} The mounted iframe
+     */
+    mount(container, html, scene = null) {
+        this.unmount();
+
+        const iframe = document.createElement('iframe');
+        iframe.id = 'custom-layout-frame';
+        iframe.className = 'custom-layout-frame';
+        // No allow-same-origin: the layout gets an opaque origin and cannot
+        // reach the host DOM, storage or cookies.
+        iframe.setAttribute('sandbox', 'allow-scripts');
+        iframe.setAttribute('referrerpolicy', 'no-referrer');
+        iframe.style.cssText = `
+            width: 100%;
+            height: 100%;
+            border: none;
+            position: absolute;
+            top: 0;
+            left: 0;
+        `;
+        iframe.srcdoc = this.buildDocument(html);
+
+        this.iframe = iframe;
+        this.scene = scene;
+        this.lastSpeakAt = 0;
+        this.messageHandler = (event) => this.handleMessage(event);
+        window.addEventListener('message', this.messageHandler);
+
+        container.appendChild(iframe);
+
+        Helpers.debug('LayoutSandbox', 'Mounted sandboxed layout', { htmlLength: html.length });
+        return iframe;
+    },
+
+    /**
+     * Remove the iframe and stop listening for bridge messages.
+     */
+    unmount() {
+        const iframe = this.detach();
+        if (iframe) {
+            iframe.remove();
+        }
+    },
+
+    /**
+     * Stop listening for bridge messages but leave the iframe in the DOM
+     * (a scene transition removes it once the next content is shown).
+     * @returns {HTMLIFrameElement|null} The released iframe
+     */
+    detach() {
+        if (this.messageHandler) {
+            window.removeEventListener('message', this.messageHandler);
+            this.messageHandler = null;
+        }
+
+        const iframe = this.iframe;
+        this.iframe = null;
+
+        Object.values(this.requests).forEach(request => {
+            clearTimeout(request.timer);
+            request.reject(new Error('Layout unmounted'));
+        });
+        this.requests = {};
+
+        this.scene = null;
+        return iframe;
+    },
+
+    /**
+     * Check if a sandboxed layout is mounted.
+     * @returns {boolean}
+     */
+    isMounted() {
+        return this.iframe !== null;
+    },
+
+    // -------------------------------------------------------------------------
+    // Document Building
+    // -------------------------------------------------------------------------
+
+    /**
+     * Build the srcdoc: CSP meta + bridge script, then the layout.
+     * The CSP always comes first so nothing in the layout runs before it. A
+     * full layout document still works: the parser merges its <html>/<body>
+     * attributes and keeps its styles, it just lands inside our <body>.
+     * @param {string} html - Layout HTML
+     * @returns {string} Complete HTML document
+     */
+    buildDocument(html) {
+        const csp = Helpers.escapeHtml(CONFIG.CUSTOM_LAYOUT.CSP);
+        const head = `<meta http-equiv="Content-Security-Policy" content="${csp}">` +
+            `<script>${this.bridgeScript()}</script>`;
+
+        return `<!DOCTYPE html><html><head><meta charset="UTF-8">${head}</head><body>${html}</body></html>`;
+    },
+
+    /**
+     * Source of the bridge that runs inside the iframe.
+     * @returns {string} JavaScript source
+     */
+    bridgeScript() {
+        return `(function() {
+            var pending = {};
+            var nextId = 0;
+            function post(message) {
+                message.source = '${this.LAYOUT_SOURCE}';
+                parent.postMessage(message, '*');
+            }
+            function call(method, args) {
+                return new Promise(function(resolve, reject) {
+                    var id = ++nextId;
+                    pending[id] = { resolve: resolve, reject: reject };
+                    post({ id: id, method: method, args: args || [] });
+                });
+            }
+            function snapshot() {
+                var root = document.documentElement.cloneNode(true);
+                var canvases = document.querySelectorAll('canvas');
+                var copies = root.querySelectorAll('canvas');
+                for (var i = 0; i < canvases.length; i++) {
+                    try {
+                        var img = document.createElement('img');
+                        img.src = canvases[i].toDataURL();
+                        img.className = canvases[i].className;
+                        img.style.cssText = canvases[i].style.cssText;
+                        img.width = canvases[i].clientWidth || canvases[i].width;
+                        img.height = canvases[i].clientHeight || canvases[i].height;
+                        copies[i].parentNode.replaceChild(img, copies[i]);
+                    } catch (e) {}
+                }
+                var scripts = root.querySelectorAll('script');
+                for (var j = 0; j < scripts.length; j++) {
+                    scripts[j].parentNode.removeChild(scripts[j]);
+                }
+                return '<!DOCTYPE html>' + root.outerHTML;
+            }
+            window.addEventListener('message', function(event) {
+                var msg = event.data;
+                if (event.source !== parent || !msg || msg.source !== '${this.HOST_SOURCE}') return;
+                if (msg.request === 'snapshot') {
+                    post({ reply: msg.id, result: snapshot() });
+                    return;
+                }
+                var entry = pending[msg.id];
+                if (!entry) return;
+                delete pending[msg.id];
+                if (msg.error) entry.reject(new Error(msg.error));
+                else entry.resolve(msg.result);
+            });
+            window.Xentauri = {
+                getTime: function() { return call('getTime'); },
+                getScene: function() { return call('getScene'); },
+                speak: function(text) { return call('speak', [String(text)]); },
+                log: function() {
+                    post({ method: 'log', args: Array.prototype.map.call(arguments, String) });
+                }
+            };
+        })();`;
+    },
+
+    // -------------------------------------------------------------------------
+    // Host Requests
+    // -------------------------------------------------------------------------
+
+    /**
+     * Ask the layout for a snapshot of its document (scripts removed,
+     * canvases converted to images).
+     * @param {number} timeout - Milliseconds to wait for the reply
+     * @returns {Promise<string>} Serialized HTML document
+     */
+    snapshot(timeout = 3000) {
+        if (!this.iframe || !this.iframe.contentWindow) {
+            return Promise.reject(new Error('No sandboxed layout mounted'));
+        }
+
+        const id = `host-${++this.nextRequestId}`;
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                delete this.requests[id];
+                reject(new Error('Layout snapshot timed out'));
+            }, timeout);
+
+            this.requests[id] = { resolve, reject, timer };
+            this.iframe.contentWindow.postMessage({ source: this.HOST_SOURCE, request: 'snapshot', id }, '*');
+        });
+    },
+
+    /**
+     * Settle a pending host request with the layout's reply.
+     */
+    _handleReply(msg) {
+        const request = this.requests[msg.reply];
+        if (!request) return;
+
+        delete this.requests[msg.reply];
+        clearTimeout(request.timer);
+
+        if (typeof msg.result === 'string') {
+            request.resolve(msg.result);
+        } else {
+            request.reject(new Error('Invalid snapshot reply'));
+        }
+    },
+
+    // -------------------------------------------------------------------------
+    // Bridge
+    // -------------------------------------------------------------------------
+
+    /**
+     * Handle a postMessage from the layout iframe.
+     * @param {MessageEvent} event
+     */
+    async handleMessage(event) {
+        if (!this.iframe || event.source !== this.iframe.contentWindow) return;
+
+        const msg = event.data;
+        if (!msg || msg.source !== this.LAYOUT_SOURCE) return;
+
+        if (msg.reply !== undefined) {
+            this._handleReply(msg);
+            return;
+        }
+        if (typeof msg.method !== 'string') return;
+
+        const handler = this.methods[msg.method];
+        const args = Array.isArray(msg.args) ? msg.args : [];
+        let result = null;
+        let error = null;
+
+        if (!handler) {
+            error = `Unknown bridge method: ${msg.method}`;
+        } else {
+            try {
+                result = await handler.apply(this, args);
+            } catch (e) {
+                error = e.message || String(e);
+            }
+        }
+
+        // log() is fire-and-forget
+        if (msg.id === undefined || !event.source) return;
+
+        event.source.postMessage({
+            source: this.HOST_SOURCE,
+            id: msg.id,
+            result,
+            error
+        }, '*');
+    },
+
+    /**
+     * Capabilities exposed to the layout. Called with `this` = LayoutSandbox.
+     */
+    methods: {
+        getTime() {
+            const now = new Date();
+            return {
+                iso: now.toISOString(),
+                epoch: now.getTime(),
+                timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+                offsetMinutes: -now.getTimezoneOffset()
+            };
+        },
+
+        getScene() {
+            return this.scene ? JSON.parse(JSON.stringify(this.scene)) : null;
+        },
+
+        speak(text) {
+            if (!window.ElevenLabsService || !ElevenLabsService.isEnabled()) {
+                return { speaking: false };
+            }
+
+            if (ElevenLabsService.isSpeaking() || Date.now() - this.lastSpeakAt < this.SPEAK_COOLDOWN) {
+                Helpers.debug('LayoutSandbox', 'speak() throttled');
+                return { speaking: false };
+            }
+
+            const maxLength = CONFIG.ELEVENLABS.MAX_TEXT_LENGTH || 5000;
+            const cleaned = ElevenLabsService.cleanTextForSpeech(String(text)).substring(0, maxLength);
+            if (!cleaned) {
+                return { speaking: false };
+            }
+
+            this.lastSpeakAt = Date.now();
+            ElevenLabsService.speak(cleaned);
+            return { speaking: true };
+        },
+
+        log(...args) {
+            const line = args.join(' ').substring(0, this.MAX_LOG_LENGTH);
+            Helpers.debug('CustomLayout', line);
+        }
+    }
+};
+
+// Make globally available
+window.LayoutSandbox = LayoutSandbox;
@@ -13,9 +13,68 @@ const SceneRenderer = {
     // Current custom layout HTML (Sprint 5.2)
     currentCustomLayout: null,
 
+    // Custom layout render modes
+    LAYOUT_MODES: ['demo', 'sandboxed'],
+
+    // Render mode of the current custom layout ('demo' or 'sandboxed')
+    currentCustomLayoutMode: null,
+
+    // Resource tracker for demo-mode layout scripts
+    layoutContext: null,
+
+    // Resources still active when the last demo layout was cleared
+    lastLayoutLeaks: null,
+
     // Container element
     container: null,
 
+    // Stage (layer inside the container) holding the current content
+    stage: null,
+
+    // Retired content still transitioning out ({ stage, instances, layoutContext, transition })
+    outgoing: [],
+
+    // URL shown by show_content
+    currentUrl: null,
+
+    // Scene container element and component wrappers by id (for patching)
+    sceneElement: null,
+    componentElements: new Map(),
+
+    // Mounted lifecycle instances by component wrapper element
+    componentInstances: new Map(),
+
+    // Components that failed to render in the current scene ({ id, type, message })
+    renderErrors: [],
+
+    // Screen orientation the layouts were applied for ('portrait' or 'landscape')
+    orientation: null,
+
+    // Pending resize handling (animation frame id)
+    resizeFrame: null,
+
+    // Factor the current scene is scaled by from its design_resolution (1 = none)
+    sceneScale: 1,
+
+    // Component type rendered by the renderer itself: a nested layout of components
+    CONTAINER_TYPE: 'container',
+
+    // Built-in layout intents, as starting points for the layout engine.
+    // Explicit columns / rows / areas in a layout turn it into a grid.
+    LAYOUT_PRESETS: {
+        fullscreen: { display: 'flex' },
+        sidebar: { display: 'grid', columns: '3fr 1fr' },
+        dashboard: { display: 'grid', columns: 2, rows: 2 },
+        stack: { display: 'flex', direction: 'column', gap: true },
+        overlay: { display: '', position: 'relative' },
+        grid: { display: 'grid' }
+    },
+
+    // Anchor points for components layered in an overlay layout
+    // ('fill' = full-bleed, e.g. a background image_display or web_embed)
+    ANCHORS: ['top-left', 'top-center', 'top-right', 'center-left', 'center', 'center-right',
+        'bottom-left', 'bottom-center', 'bottom-right', 'fill'],
+
     // -------------------------------------------------------------------------
     // Initialization
     // -------------------------------------------------------------------------
@@ -36,6 +95,17 @@ const SceneRenderer = {
             return false;
         }
 
+        // Re-apply breakpoints, scaling and text fitting when the screen
+        // resizes or rotates (at most once per frame)
+        this.orientation = this.getOrientation();
+        window.addEventListener('resize', () => {
+            if (this.resizeFrame) return;
+            this.resizeFrame = requestAnimationFrame(() => {
+                this.resizeFrame = null;
+                this.handleResize();
+            });
+        });
+
         Helpers.debug('SceneRenderer', 'Initialized');
         return true;
     },
@@ -47,8 +117,10 @@ const SceneRenderer = {
     /**
      * Render a complete scene graph.
      * @param {Object} scene - Scene graph data
+     * @param {Object} options - Optional { transition, duration } (overrides
+     *   global_style.transition / transition_duration)
      */
-    render(scene) {
+    render(scene, options = {}) {
         if (!this.container) {
             console.error('[SceneRenderer] Container not initialized');
             return;
@@ -60,63 +132,475 @@ const SceneRenderer = {
             layout: scene.layout?.intent
         });
 
-        // Clear current content
-        this.clear();
+        // Render into a fresh stage; the current content stays up until the transition ends
+        const globalStyle = scene.global_style || {};
+        const transition = SceneTransitions.resolve(options, globalStyle);
+        const retired = this._beginContent();
+        this.renderErrors = [];
+
+        try {
+            this._renderScene(scene, globalStyle);
+        } finally {
+            this._present(retired, transition);
+        }
+    },
 
+    /**
+     * Build the scene element into the current stage.
+     */
+    _renderScene(scene, globalStyle) {
         // Create scene container with global styles
         const sceneEl = document.createElement('div');
         sceneEl.className = 'scene-container';
         sceneEl.id = scene.scene_id || 'scene';
 
+        // Scene theme overrides the device theme (the defaults below follow it)
+        ThemeManager.applyTo(sceneEl, globalStyle.theme);
+
+        // Scene locale overrides the device locale while it's displayed
+        if (I18n.setSceneLocale(scene.locale) && scene.locale) {
+            sceneEl.lang = I18n.getLocale();
+        }
+
         // Apply global styles
-        const globalStyle = scene.global_style || {};
         sceneEl.style.cssText = `
             width: 100%;
             height: 100%;
-            background: ${globalStyle.background || '#0f0f23'};
+            background: ${globalStyle.background || 'var(--bg-primary)'};
             font-family: ${globalStyle.font_family || 'Inter'}, -apple-system, BlinkMacSystemFont, sans-serif;
-            color: ${globalStyle.text_color || '#ffffff'};
+            color: ${globalStyle.text_color || 'var(--text-primary)'};
             padding: ${CONFIG.LAYOUT.DEFAULT_PADDING};
             box-sizing: border-box;
         `;
 
+        // Fixed design size, scaled to the stage by applySceneScale()
+        const design = this._designResolution(scene);
+        if (design) {
+            sceneEl.style.width = `${design.width}px`;
+            sceneEl.style.height = `${design.height}px`;
+        }
+
         // Apply layout
         this.applyLayout(sceneEl, scene.layout);
 
         // Render each component
         const components = scene.components || [];
-        components.forEach(comp => {
-            const element = this.renderComponent(comp);
-            sceneEl.appendChild(element);
-        });
+        this._renderChildren(sceneEl, components);
 
-        // Add to container
-        this.container.appendChild(sceneEl);
+        // Add to stage
+        this.stage.appendChild(sceneEl);
+        this.sceneElement = sceneEl;
 
         // Store current scene
         this.currentScene = scene;
 
+        // Scale and fit now that there is layout, and again once web fonts are in
+        this.applySceneScale();
+        TextFit.fitAll(sceneEl);
+        document.fonts?.ready.then(() => {
+            if (this.sceneElement === sceneEl) TextFit.fitAll(sceneEl);
+        });
+
         Helpers.debug('SceneRenderer', `Scene rendered: ${scene.layout?.intent || 'default'} layout with ${components.length} components`);
     },
 
     /**
-     * Clear the current scene or custom layout.
+     * Clear the current content immediately (no transition).
      */
     clear() {
-        if (this.container) {
-            // Cleanup any intervals from clock components
-            const clocks = this.container.querySelectorAll('[data-interval-id]');
-            clocks.forEach(el => {
-                const intervalId = el.dataset.intervalId;
-                if (intervalId) {
-                    clearInterval(parseInt(intervalId));
-                }
-            });
+        this._finishTransitions();
 
+        const retired = this._retire();
+        if (retired) {
+            this._teardown(retired);
+        }
+
+        if (this.container) {
             this.container.innerHTML = '';
         }
+    },
+
+    /**
+     * Render components into a parent element, registering them by id.
+     * @param {Element} parent - Scene or container element
+     * @param {Object[]} components - Components to render
+     */
+    _renderChildren(parent, components) {
+        (components || []).forEach(comp => {
+            const element = this.renderComponent(comp);
+            parent.appendChild(element);
+            if (comp.id) {
+                this.componentElements.set(comp.id, element);
+            }
+        });
+    },
+
+    /**
+     * Unmount a component (and any components nested in it) and remove its
+     * wrapper from the DOM.
+     * @param {Element} wrapper - Component wrapper
+     */
+    _destroyComponentElement(wrapper) {
+        [wrapper, ...wrapper.querySelectorAll('.component')].forEach(element => {
+            if (!this.componentInstances.has(element)) return;
+
+            ComponentLifecycle.unmount(this.componentInstances.get(element));
+            this.componentInstances.delete(element);
+            if (element !== wrapper && this.componentElements.get(element.id) === element) {
+                this.componentElements.delete(element.id);
+            }
+        });
+        wrapper.remove();
+    },
+
+    // -------------------------------------------------------------------------
+    // Stages / Transitions
+    // -------------------------------------------------------------------------
+
+    /**
+     * Retire the current content and open a fresh stage for the next one.
+     * @returns {Object|null} Retired content, to pass to _present()
+     */
+    _beginContent() {
+        this._finishTransitions();
+        const retired = this._retire();
+
+        this.stage = document.createElement('div');
+        this.stage.className = 'render-stage';
+        this.container.appendChild(this.stage);
+
+        return retired;
+    },
+
+    /**
+     * Detach the current content from the renderer state without removing
+     * it from the screen. Its components keep running until _teardown().
+     * @returns {Object|null} { stage, instances, layoutContext, transition }
+     */
+    _retire() {
+        let retired = null;
+
+        if (this.stage) {
+            retired = {
+                stage: this.stage,
+                instances: this.componentInstances,
+                layoutContext: this.layoutContext,
+                transition: null
+            };
+
+            // The next content may be a layout too: release the sandbox bridge
+            // (the iframe goes with the stage) and the demo wrapper id
+            if (window.LayoutSandbox) {
+                LayoutSandbox.detach();
+            }
+            this.stage.querySelector('#custom-layout-wrapper')?.removeAttribute('id');
+        }
+
+        this.stage = null;
+        this.componentInstances = new Map();
+        this.layoutContext = null;
         this.currentScene = null;
         this.currentCustomLayout = null;
+        this.currentCustomLayoutMode = null;
+        this.currentUrl = null;
+        this.sceneElement = null;
+        this.componentElements.clear();
+        I18n.setSceneLocale(null);
+
+        return retired;
+    },
+
+    /**
+     * Reveal the current stage, transitioning the retired content out.
+     * @param {Object|null} retired - From _beginContent()
+     * @param {Object} transition - From SceneTransitions.resolve()
+     */
+    _present(retired, transition) {
+        if (!retired) return;
+
+        if (transition.type === 'none') {
+            this._teardown(retired);
+            return;
+        }
+
+        Helpers.debug('SceneRenderer', `Transition: ${transition.type} (${transition.duration}ms)`);
+        retired.transition = SceneTransitions.run(this.stage, retired.stage, transition);
+        this.outgoing.push(retired);
+        retired.transition.done.then(() => this._teardown(retired));
+    },
+
+    /**
+     * Jump running transitions to their end and tear the old content down.
+     */
+    _finishTransitions() {
+        [...this.outgoing].forEach(retired => this._teardown(retired));
+    },
+
+    /**
+     * Tear retired content down: unmount its components (stops clocks,
+     * countdowns, etc.), cancel what its layout scripts started and remove
+     * its stage. Safe to call twice.
+     * @param {Object} retired - From _retire()
+     */
+    _teardown(retired) {
+        this.outgoing = this.outgoing.filter(r => r !== retired);
+        if (retired.tornDown) return;
+        retired.tornDown = true;
+
+        retired.transition?.finish();
+        retired.instances.forEach(instance => ComponentLifecycle.unmount(instance));
+        this._disposeLayoutContext(retired.layoutContext);
+        retired.stage.remove();
+    },
+
+    // -------------------------------------------------------------------------
+    // Incremental Patching
+    // -------------------------------------------------------------------------
+
+    /**
+     * Apply an incremental patch to the current scene, reusing existing DOM.
+     * Only the touched components are re-rendered; the rest keep running.
+     * Ids may refer to components nested in containers.
+     *
+     * @param {Object} patch - Patch specification
+     * @param {string} patch.scene_id - Optional; must match the current scene
+     * @param {Object[]} patch.update - [{ id, data, props, style, position, layout }],
+     *   each field shallow-merged into the existing component
+     * @param {Object[]} patch.add - Components to add (id required); optional
+     *   `insert_before` id and/or `parent_id` to append to a container (an
+     *   unknown id, or an insert_before outside parent_id, skips the add)
+     * @param {string[]} patch.remove - Component ids to remove
+     * @returns {Object|null} { updated, added, removed, missing } id lists and
+     *   `skipped` (types of added components without an id), or null if there
+     *   is no scene to patch
+     */
+    patchScene(patch) {
+        const scene = this.currentScene;
+        if (!scene || !this.sceneElement) {
+            return null;
+        }
+
+        const result = { updated: [], added: [], removed: [], missing: [], skipped: [] };
+        let components = [...(scene.components || [])];
+
+        // Remove
+        (patch.remove || []).forEach(id => {
+            const element = this.componentElements.get(id);
+            if (!element) {
+                result.missing.push(id);
+                return;
+            }
+            this._destroyComponentElement(element);
+            this.componentElements.delete(id);
+            components = this._editComponents(components, list => list.filter(c => c.id !== id));
+            result.removed.push(id);
+        });
+
+        // Update
+        (patch.update || []).forEach(change => {
+            const current = this._findComponent(components, change.id);
+            const element = this.componentElements.get(change.id);
+            if (!current || !element) {
+                result.missing.push(change.id);
+                return;
+            }
+
+            const updated = { ...current };
+            ['data', 'props', 'style', 'position', 'layout'].forEach(key => {
+                if (change[key] !== undefined) {
+                    updated[key] = { ...(current[key] || {}), ...change[key] };
+                }
+            });
+            components = this._editComponents(components, list => list.map(c => (c.id === change.id ? updated : c)));
+
+            this.updateComponentElement(element, updated);
+            result.updated.push(change.id);
+        });
+
+        // Add
+        (patch.add || []).forEach(item => {
+            const { insert_before: insertBefore, parent_id: parentId, ...component } = item;
+
+            // Without an id it could never be patched or removed again
+            if (!component.id) {
+                result.skipped.push(component.type || 'unknown');
+                return;
+            }
+
+            const before = insertBefore ? this.componentElements.get(insertBefore) : null;
+            const parent = parentId ? this._containerElement(parentId) : null;
+
+            if (parentId && !parent) {
+                result.missing.push(parentId);
+                return;
+            }
+
+            // insert_before must exist (and sit in parent_id when both are given)
+            if (insertBefore && (!before || (parent && before.parentNode !== parent))) {
+                result.missing.push(insertBefore);
+                return;
+            }
+
+            const element = this.renderComponent(component);
+
+            if (this.componentElements.has(component.id)) {
+                // Same id: replace in place
+                const existing = this.componentElements.get(component.id);
+                existing.replaceWith(element);
+                this._destroyComponentElement(existing);
+                components = this._editComponents(components, list => list.map(c => (c.id === component.id ? component : c)));
+            } else if (before) {
+                before.parentNode.insertBefore(element, before);
+                components = this._editComponents(components, list => {
+                    const index = list.findIndex(c => c.id === insertBefore);
+                    return index === -1 ? list : [...list.slice(0, index), component, ...list.slice(index)];
+                });
+            } else if (parent) {
+                parent.appendChild(element);
+                components = this._editComponents(components, (list, listParentId) => (
+                    listParentId === parentId ? [...list, component] : list
+                ));
+            } else {
+                this.sceneElement.appendChild(element);
+                components.push(component);
+            }
+
+            this.componentElements.set(component.id, element);
+            result.added.push(component.id);
+        });
+
+        this.currentScene = { ...scene, components };
+        TextFit.fitAll(this.sceneElement);
+
+        Helpers.debug('SceneRenderer', 'Scene patched', result);
+        return result;
+    },
+
+    /**
+     * Find a component by id anywhere in a component tree.
+     * @param {Object[]} components - Scene or container components
+     * @param {string} id - Component id
+     * @returns {Object|null}
+     */
+    _findComponent(components, id) {
+        for (const component of components) {
+            if (component.id === id) return component;
+
+            const nested = Array.isArray(component.components) && this._findComponent(component.components, id);
+            if (nested) return nested;
+        }
+        return null;
+    },
+
+    /**
+     * Copy a component tree, passing every sibling list through `edit`.
+     * @param {Object[]} components - Scene components
+     * @param {Function} edit - (list, parentId) => new list (parentId null at the top)
+     * @returns {Object[]} New tree
+     */
+    _editComponents(components, edit, parentId = null) {
+        return edit(components, parentId).map(component => (
+            Array.isArray(component.components)
+                ? { ...component, components: this._editComponents(component.components, edit, component.id) }
+                : component
+        ));
+    },
+
+    /**
+     * Element children of a container component are appended to.
+     * @param {string} id - Container component id
+     * @returns {Element|null}
+     */
+    _containerElement(id) {
+        const instance = this.getComponentInstance(id);
+        return instance?.componentType === this.CONTAINER_TYPE ? instance.element : null;
+    },
+
+    /**
+     * Re-apply a component to its existing wrapper element.
+     * The mounted instance receives update(data, props) instead of a re-render.
+     * @param {Element} wrapper - Existing component wrapper
+     * @param {Object} component - Updated component data
+     */
+    updateComponentElement(wrapper, component) {
+        this.applyComponentPosition(wrapper, component.position);
+        this.applyComponentStyle(wrapper, component);
+
+        const instance = this.componentInstances.get(wrapper);
+        if (component.type === this.CONTAINER_TYPE && instance?.componentType === this.CONTAINER_TYPE) {
+            instance.layout = component.layout;
+            this.applyLayout(instance.element, component.layout);
+        }
+
+        this._updateInstance(wrapper, component, component.data, component.props);
+    },
+
+    /**
+     * Re-apply current data to mounted components (e.g. after a config change
+     * that affects how they render).
+     * @param {string[]} types - Component types to refresh (null = all)
+     * @returns {number} Number of components refreshed
+     */
+    refreshComponents(types = null) {
+        let count = 0;
+        this.componentInstances.forEach((instance, wrapper) => {
+            if (types && !types.includes(instance.componentType)) return;
+
+            const component = { id: instance.componentId, type: instance.componentType };
+            this._updateInstance(wrapper, component, instance.data, instance.props);
+            count++;
+        });
+
+        if (count > 0) {
+            TextFit.fitAll(this.sceneElement);
+        }
+        return count;
+    },
+
+    /**
+     * Update the instance mounted in a wrapper, falling back to the error tile.
+     */
+    _updateInstance(wrapper, component, data, props) {
+        const instance = this.componentInstances.get(wrapper);
+        try {
+            ComponentLifecycle.update(instance, data, props);
+            this._markAutoFit(instance);
+        } catch (e) {
+            ComponentLifecycle.unmount(instance);
+            const errorInstance = this._errorBoundary(component, e);
+            wrapper.replaceChildren(errorInstance.element);
+            this.componentInstances.set(wrapper, errorInstance);
+        }
+    },
+
+    /**
+     * Opt a component's root element in or out of TextFit (props.auto_fit,
+     * min_font_size, max_font_size).
+     * @param {Object} instance - Mounted instance
+     */
+    _markAutoFit(instance) {
+        const element = instance?.element;
+        if (!element?.dataset) return;
+
+        const props = instance.props || {};
+        if (props.auto_fit) {
+            element.dataset.fitText = '';
+            element.dataset.fitMin = props.min_font_size || '';
+            element.dataset.fitMax = props.max_font_size || '';
+        } else if (element.dataset.fitText !== undefined) {
+            delete element.dataset.fitText;
+            element.style.fontSize = '';
+        }
+    },
+
+    /**
+     * Get the mounted lifecycle instance for a component id.
+     * @param {string} id - Component id
+     * @returns {Object|null} Instance or null
+     */
+    getComponentInstance(id) {
+        const wrapper = this.componentElements.get(id);
+        return (wrapper && this.componentInstances.get(wrapper)) || null;
     },
 
     // -------------------------------------------------------------------------
@@ -125,47 +609,145 @@ const SceneRenderer = {
 
     /**
      * Apply layout to a container.
+     *
+     * Layout: { intent, gap, columns, rows, areas, breakpoints }
+     *   columns / rows - track count (equal 1fr tracks) or a template string
+     *   areas          - grid-template-areas rows, e.g. ['header header', 'main side']
+     *   breakpoints    - { portrait: {...}, landscape: {...} } overrides for
+     *                    the current screen orientation
+     *
      * @param {Element} container - Container element
      * @param {Object} layout - Layout specification
      */
     applyLayout(container, layout) {
-        const intent = layout?.intent || 'fullscreen';
-        const gap = layout?.gap || CONFIG.LAYOUT.DEFAULT_GAP;
+        const spec = this.resolveLayout(layout);
+        const intent = spec.intent || 'fullscreen';
+        const preset = this.LAYOUT_PRESETS[intent] || this.LAYOUT_PRESETS.fullscreen;
+
+        // Overlay layers its components, so grid templates don't apply
+        const overlay = intent === 'overlay';
+        const hasTemplate = !overlay && (spec.columns !== undefined || spec.rows !== undefined || spec.areas !== undefined);
+        const display = hasTemplate ? 'grid' : preset.display;
+        container.classList.toggle('layout-overlay', overlay);
+
+        const style = container.style;
+        style.display = display;
+        style.position = preset.position || '';
+        style.flexDirection = display === 'flex' ? (preset.direction || '') : '';
+        style.gridTemplateColumns = display === 'grid' ? this._gridTracks(spec.columns ?? preset.columns) : '';
+        style.gridTemplateRows = display === 'grid' ? this._gridTracks(spec.rows ?? preset.rows) : '';
+        style.gridTemplateAreas = display === 'grid' ? this._gridAreas(spec.areas) : '';
+        style.gap = spec.gap || (display === 'grid' || preset.gap ? CONFIG.LAYOUT.DEFAULT_GAP : '');
+
+        Helpers.debug('SceneRenderer', `Applied layout: ${intent}${hasTemplate ? ' (grid template)' : ''}`);
+    },
 
-        switch (intent) {
-            case 'fullscreen':
-                container.style.display = 'flex';
-                break;
+    /**
+     * Merge a layout with its breakpoint for the current orientation.
+     * @param {Object} layout - Layout specification
+     * @returns {Object} Effective layout
+     */
+    resolveLayout(layout) {
+        const override = layout?.breakpoints?.[this.getOrientation()];
+        return { ...layout, ...override };
+    },
 
-            case 'sidebar':
-                container.style.display = 'grid';
-                container.style.gridTemplateColumns = '3fr 1fr';
-                container.style.gap = gap;
-                break;
+    /**
+     * Current screen orientation.
+     * @returns {string} 'portrait' or 'landscape'
+     */
+    getOrientation() {
+        return window.innerHeight > window.innerWidth ? 'portrait' : 'landscape';
+    },
 
-            case 'dashboard':
-                container.style.display = 'grid';
-                container.style.gridTemplateColumns = '1fr 1fr';
-                container.style.gridTemplateRows = '1fr 1fr';
-                container.style.gap = gap;
-                break;
+    /**
+     * Re-apply the scene and container layouts (e.g. after the orientation
+     * changed and other breakpoints apply).
+     */
+    refreshLayouts() {
+        if (this.sceneElement && this.currentScene) {
+            this.applyLayout(this.sceneElement, this.currentScene.layout);
+        }
+
+        this.componentInstances.forEach(instance => {
+            if (instance.componentType === this.CONTAINER_TYPE) {
+                this.applyLayout(instance.element, instance.layout);
+            }
+        });
+    },
+
+    /**
+     * Resize / rotation: re-apply breakpoints if the orientation flipped,
+     * then re-scale the scene and re-fit its text.
+     */
+    handleResize() {
+        const orientation = this.getOrientation();
+        if (orientation !== this.orientation) {
+            this.orientation = orientation;
+            Helpers.debug('SceneRenderer', `Orientation changed: ${orientation}`);
+            this.refreshLayouts();
+        }
 
-            case 'stack':
-                container.style.display = 'flex';
-                container.style.flexDirection = 'column';
-                container.style.gap = gap;
-                break;
+        if (this.sceneElement) {
+            this.applySceneScale();
+            TextFit.fitAll(this.sceneElement);
+        }
+    },
 
-            case 'overlay':
-                container.style.position = 'relative';
-                break;
+    /**
+     * Scale a scene with a design_resolution uniformly to fit its stage
+     * (centered, letterboxed when the aspect ratios differ).
+     */
+    applySceneScale() {
+        const sceneEl = this.sceneElement;
+        const design = this._designResolution(this.currentScene);
+        const stage = sceneEl?.parentElement;
 
-            default:
-                // Default to flex
-                container.style.display = 'flex';
+        if (!design || !stage) {
+            this.sceneScale = 1;
+            return;
         }
 
-        Helpers.debug('SceneRenderer', `Applied layout: ${intent}`);
+        // Re-applied each time since applyLayout() resets the position
+        const scale = stage.clientWidth && stage.clientHeight
+            ? Math.min(stage.clientWidth / design.width, stage.clientHeight / design.height)
+            : 1;
+        Object.assign(sceneEl.style, {
+            position: 'absolute',
+            left: '50%',
+            top: '50%',
+            transform: `translate(-50%, -50%) scale(${scale})`
+        });
+        this.sceneScale = scale;
+    },
+
+    /**
+     * A scene's design resolution, if valid.
+     * @returns {Object|null} { width, height } in px
+     */
+    _designResolution(scene) {
+        const design = scene?.design_resolution;
+        return design && design.width > 0 && design.height > 0 ? design : null;
+    },
+
+    /**
+     * Track list for a column/row count or template.
+     */
+    _gridTracks(value) {
+        if (typeof value === 'number' && value > 0) {
+            return `repeat(${Math.floor(value)}, 1fr)`;
+        }
+        return typeof value === 'string' ? value : '';
+    },
+
+    /**
+     * grid-template-areas value for a list of rows (or a raw string).
+     */
+    _gridAreas(areas) {
+        if (Array.isArray(areas)) {
+            return areas.map(row => `"${String(row).replace(/"/g, '')}"`).join(' ');
+        }
+        return typeof areas === 'string' ? areas : '';
     },
 
     // -------------------------------------------------------------------------
@@ -183,64 +765,226 @@ const SceneRenderer = {
         wrapper.id = component.id;
 
         // Apply position (for grid layouts)
-        if (component.position) {
-            if (component.position.grid_column) {
-                wrapper.style.gridColumn = component.position.grid_column;
-            }
-            if (component.position.grid_row) {
-                wrapper.style.gridRow = component.position.grid_row;
-            }
-            if (component.position.flex) {
-                wrapper.style.flex = component.position.flex;
-            }
-            if (component.position.z_index) {
-                wrapper.style.zIndex = component.position.z_index;
-            }
-        }
+        this.applyComponentPosition(wrapper, component.position);
 
         // Apply component style with fallback defaults
-        const defaultStyle = {
-            background: component.priority === 'primary' ? '#1a1a2e' : '#16213e',
-            text_color: '#ffffff',
-            border_radius: CONFIG.LAYOUT.DEFAULT_BORDER_RADIUS,
-            padding: '20px'
+        this.applyComponentStyle(wrapper, component);
+
+        // Render content based on type (error boundary: a failing component
+        // becomes an error tile instead of aborting the whole scene)
+        let instance;
+        try {
+            instance = this.renderComponentContent(component);
+        } catch (e) {
+            instance = this._errorBoundary(component, e);
+        }
+        this._markAutoFit(instance);
+        wrapper.appendChild(instance.element);
+        this.componentInstances.set(wrapper, instance);
+
+        return wrapper;
+    },
+
+    /**
+     * Record a component render failure and mount an error tile in its place.
+     * @param {Object} component - Component that failed
+     * @param {Error} error - Thrown error
+     * @returns {Object} Mounted error tile instance
+     */
+    _errorBoundary(component, error) {
+        const message = error?.message || String(error);
+        console.error(`[SceneRenderer] Component ${component.id || component.type} failed to render:`, error);
+
+        this.renderErrors.push({ id: component.id || null, type: component.type, message });
+
+        return ComponentLifecycle.create(
+            () => ComponentRenderers._errorTile(component.type, message),
+            component
+        );
+    },
+
+    /**
+     * Get components that failed to render in the current scene.
+     * @returns {Object[]} [{ id, type, message }]
+     */
+    getRenderErrors() {
+        return this.renderErrors;
+    },
+
+    /**
+     * Apply grid/flex/overlay position to a component wrapper.
+     * @param {Element} wrapper - Component wrapper
+     * @param {Object} position - Position specification
+     */
+    applyComponentPosition(wrapper, position) {
+        wrapper.style.gridArea = '';
+        wrapper.style.gridColumn = position?.grid_column || '';
+        wrapper.style.gridRow = position?.grid_row || '';
+        if (position?.area) {
+            wrapper.style.gridArea = position.area;
+        }
+        wrapper.style.flex = position?.flex || '';
+
+        this.applyComponentAnchor(wrapper, position);
+    },
+
+    /**
+     * Anchor a component within an overlay layout.
+     *
+     * position.anchor   - one of ANCHORS (unanchored overlay components fill the area)
+     * position.width / height - numbers are percentages, strings any CSS length
+     * position.offset_x / offset_y - distance from the anchored edges
+     *   (default CONFIG.LAYOUT.DEFAULT_PADDING)
+     * Full-bleed components sit below anchored ones unless z_index says otherwise.
+     *
+     * @param {Element} wrapper - Component wrapper
+     * @param {Object} position - Position specification
+     */
+    applyComponentAnchor(wrapper, position) {
+        const style = wrapper.style;
+        ['position', 'top', 'right', 'bottom', 'left', 'transform'].forEach(prop => {
+            style[prop] = '';
+        });
+        style.width = this._cssSize(position?.width);
+        style.height = this._cssSize(position?.height);
+
+        const anchor = this.ANCHORS.includes(position?.anchor) ? position.anchor : null;
+        wrapper.classList.toggle('component-anchored', anchor !== null);
+        wrapper.classList.toggle('component-fill', anchor === 'fill');
+        style.zIndex = position?.z_index ?? (anchor ? (anchor === 'fill' ? 0 : 1) : '');
+
+        if (!anchor) return;
+
+        style.position = 'absolute';
+        if (anchor === 'fill') {
+            style.top = style.right = style.bottom = style.left = '0';
+            return;
+        }
+
+        const [vertical, horizontal = 'center'] = anchor.split('-');
+        const offsetX = this._cssSize(position.offset_x, 'px') || CONFIG.LAYOUT.DEFAULT_PADDING;
+        const offsetY = this._cssSize(position.offset_y, 'px') || CONFIG.LAYOUT.DEFAULT_PADDING;
+        const transform = [];
+
+        if (vertical === 'top') {
+            style.top = offsetY;
+        } else if (vertical === 'bottom') {
+            style.bottom = offsetY;
+        } else {
+            style.top = '50%';
+            transform.push('translateY(-50%)');
+        }
+
+        if (horizontal === 'left') {
+            style.left = offsetX;
+        } else if (horizontal === 'right') {
+            style.right = offsetX;
+        } else {
+            style.left = '50%';
+            transform.push('translateX(-50%)');
+        }
+
+        style.transform = transform.join(' ');
+    },
+
+    /**
+     * CSS length for a size/offset: numbers get `unit`, strings pass through.
+     */
+    _cssSize(value, unit = '%') {
+        if (typeof value === 'number') return `${value}${unit}`;
+        return typeof value === 'string' ? value : '';
+    },
+
+    /**
+     * Apply component style (with fallback defaults) to a wrapper.
+     * @param {Element} wrapper - Component wrapper
+     * @param {Object} component - Component data
+     */
+    applyComponentStyle(wrapper, component) {
+        // Containers are invisible by default: only their children are tiles.
+        // Full-bleed overlay components have no padding or rounded corners.
+        const fill = component.position?.anchor === 'fill';
+        const defaultStyle = component.type === this.CONTAINER_TYPE ? {
+            background: 'transparent',
+            text_color: 'inherit',
+            border_radius: '0',
+            padding: '0'
+        } : {
+            background: component.priority === 'primary' ? 'var(--bg-secondary)' : 'var(--bg-tertiary)',
+            text_color: 'var(--text-primary)',
+            border_radius: fill ? '0' : CONFIG.LAYOUT.DEFAULT_BORDER_RADIUS,
+            padding: fill ? '0' : '20px'
         };
-        const style = { ...defaultStyle, ...(component.style || {}) };
+        const style = {
+            ...defaultStyle,
+            ...ComponentRegistry.getDefaultStyle(component.type),
+            ...(component.style || {})
+        };
+
+        // Component theme (its own and its children's defaults follow it)
+        ThemeManager.applyTo(wrapper, style.theme);
 
         wrapper.style.background = style.background;
         wrapper.style.color = style.text_color;
         wrapper.style.borderRadius = style.border_radius;
         wrapper.style.padding = style.padding;
 
-        if (style.shadow) {
-            wrapper.style.boxShadow = style.shadow;
-        }
-
-        // Render content based on type
-        const content = this.renderComponentContent(component);
-        wrapper.appendChild(content);
+        wrapper.style.boxShadow = style.shadow || '';
 
-        return wrapper;
+        // Translucent tiles over a background (e.g. frosted glass)
+        wrapper.style.opacity = style.opacity ?? '';
+        const blur = this._cssSize(style.backdrop_blur, 'px');
+        wrapper.style.backdropFilter = blur ? `blur(${blur})` : '';
     },
 
     /**
-     * Render component content based on type.
+     * Create and mount the component instance for a component's type.
+     * Function-style renderers are adapted to the lifecycle contract.
      * @param {Object} component - Component data
-     * @returns {Element} Rendered content element
+     * @returns {Object} Mounted instance (root element in instance.element)
      */
     renderComponentContent(component) {
-        const { type, data, props } = component;
+        const { type } = component;
 
-        // Get renderer for this component type
-        const renderer = ComponentRenderers[type];
+        if (type === this.CONTAINER_TYPE) {
+            return this._renderContainer(component);
+        }
+
+        // Get renderer for this component type (plugins first, then built-in)
+        const renderer = ComponentRegistry.getRenderer(type);
 
         if (renderer) {
-            return renderer.call(ComponentRenderers, data, props);
+            return ComponentLifecycle.create(renderer, component, ComponentRenderers);
         }
 
         // Unknown component type
         Helpers.debug('SceneRenderer', `Unknown component type: ${type}`);
-        return ComponentRenderers.unknown(type);
+        return ComponentLifecycle.create(() => ComponentRenderers.unknown(type), component);
+    },
+
+    /**
+     * Mount a container: a nested layout whose children are regular
+     * components (registered by id, so patches can reach them).
+     * @param {Object} component - { id, type: 'container', layout, components }
+     * @returns {Object} Mounted instance (instance.layout holds its layout)
+     */
+    _renderContainer(component) {
+        const instance = ComponentLifecycle.create({
+            mount: () => {
+                const element = document.createElement('div');
+                element.className = 'layout-container';
+                this.applyLayout(element, component.layout);
+                this._renderChildren(element, component.components);
+                return element;
+            },
+
+            // Children are patched through their own ids; the layout in
+            // updateComponentElement()
+            update() {}
+        }, component);
+
+        instance.layout = component.layout;
+        return instance;
     },
 
     // -------------------------------------------------------------------------
@@ -253,14 +997,18 @@ const SceneRenderer = {
 
     /**
      * Render custom HTML layout.
-     * DEMO MODE: Uses innerHTML for full JS support.
-     * WARNING: Not secure for production - enables XSS.
+     * Mode comes from options.mode or CONFIG.CUSTOM_LAYOUT.MODE:
+     * - 'demo': innerHTML injection with full JS support (NOT secure)
+     * - 'sandboxed': isolated iframe via LayoutSandbox
+     * options.mode can only tighten the configured mode (see _resolveLayoutMode).
      *
      * @param {string} html - HTML string from Opus
      * @param {Object} sceneFallback - Scene to use if custom layout fails
+     *   (also exposed to sandboxed layouts through the bridge)
+     * @param {Object} options - Optional { mode, transition, duration }
      * @returns {boolean} True if rendering succeeded
      */
-    renderCustomLayout(html, sceneFallback = null) {
+    renderCustomLayout(html, sceneFallback = null, options = {}) {
         if (!this.container) {
             console.error('[SceneRenderer] Container not initialized');
             return false;
@@ -271,14 +1019,61 @@ const SceneRenderer = {
             return false;
         }
 
-        Helpers.debug('SceneRenderer', 'Rendering custom layout (DEMO MODE - JS enabled)', {
+        const mode = this._resolveLayoutMode(options.mode);
+
+        Helpers.debug('SceneRenderer', `Rendering custom layout (${mode})`, {
             htmlLength: html.length,
             hasFallback: !!sceneFallback
         });
 
-        // Clear current content
-        this.clear();
+        const transition = SceneTransitions.resolve(options, sceneFallback?.global_style);
+        const retired = this._beginContent();
+
+        try {
+            if (mode === 'sandboxed') {
+                LayoutSandbox.mount(this.stage, html, sceneFallback);
+            } else {
+                this._renderDemoLayout(html);
+            }
+        } finally {
+            this._present(retired, transition);
+        }
 
+        // Store reference
+        this.currentCustomLayout = html;
+        this.currentCustomLayoutMode = mode;
+        this.currentScene = null;
+
+        return true;
+    },
+
+    /**
+     * Pick the render mode for a custom layout. An unknown configured mode
+     * falls back to 'sandboxed'; an unknown or weaker requested mode (e.g.
+     * 'demo' on a sandboxed device) is ignored.
+     * @param {string} requested - Mode from the command, if any
+     * @returns {string} 'demo' or 'sandboxed'
+     */
+    _resolveLayoutMode(requested) {
+        const configured = this.LAYOUT_MODES.includes(CONFIG.CUSTOM_LAYOUT.MODE)
+            ? CONFIG.CUSTOM_LAYOUT.MODE
+            : 'sandboxed';
+
+        if (!requested || requested === configured) return configured;
+
+        if (requested === 'sandboxed') return requested;
+
+        console.warn(`[SceneRenderer] Ignoring render_mode "${requested}", using ${configured}`);
+        return configured;
+    },
+
+    /**
+     * Render custom HTML directly into the page.
+     * DEMO MODE: Uses innerHTML for full JS support.
+     * WARNING: Not secure for production - enables XSS.
+     * @param {string} html - HTML string
+     */
+    _renderDemoLayout(html) {
         // Create wrapper for the custom layout
         const wrapper = document.createElement('div');
         wrapper.id = 'custom-layout-wrapper';
@@ -333,7 +1128,13 @@ const SceneRenderer = {
         wrapper.innerHTML = contentHtml;
 
         // Add wrapper to DOM FIRST so scripts can find elements
-        this.container.appendChild(wrapper);
+        this.stage.appendChild(wrapper);
+
+        // Track everything the layout scripts start (installed before the
+        // addEventListener interception below so it wraps the tracked version)
+        const ctx = new LayoutExecutionContext();
+        ctx.install();
+        this.layoutContext = ctx;
 
         // Setup DOMContentLoaded interception BEFORE executing scripts
         const domReadyCallbacks = [];
@@ -371,7 +1172,7 @@ const SceneRenderer = {
                 try {
                     // Use indirect eval (1,eval) to run in GLOBAL scope
                     // Direct eval() runs in local scope, indirect eval runs globally
-                    (1, eval)(jsCode);
+                    ctx.run(() => (1, eval)(jsCode));
                 } catch (e) {
                     console.error('[SceneRenderer] Script execution error:', e);
                     console.error('[SceneRenderer] Failed script preview:', jsCode.substring(0, 200));
@@ -388,18 +1189,39 @@ const SceneRenderer = {
         // Execute captured DOMContentLoaded callbacks
         domReadyCallbacks.forEach(fn => {
             try {
-                fn();
+                ctx.run(fn);
             } catch (e) {
                 console.error('[SceneRenderer] Error in DOMContentLoaded callback:', e);
             }
         });
 
-        // Store reference
-        this.currentCustomLayout = html;
-        this.currentScene = null;
-
         Helpers.debug('SceneRenderer', 'Custom layout rendered (DEMO MODE)');
-        return true;
+    },
+
+    /**
+     * Dispose a demo layout execution context, recording leaked resources.
+     * @param {LayoutExecutionContext|null} ctx - Context of retired content
+     */
+    _disposeLayoutContext(ctx) {
+        if (!ctx) return;
+
+        const leaks = ctx.dispose();
+        this.lastLayoutLeaks = leaks;
+
+        if (leaks.total > 0) {
+            Helpers.debug('SceneRenderer', `Cleaned up ${leaks.total} resources left by custom layout`, leaks);
+        }
+    },
+
+    /**
+     * Get resource counts for the active demo layout and the last cleared one.
+     * @returns {Object} { active, lastCleared }
+     */
+    getLayoutResourceStats() {
+        return {
+            active: this.layoutContext ? this.layoutContext.getStats() : null,
+            lastCleared: this.lastLayoutLeaks
+        };
     },
 
     /**
@@ -442,31 +1264,90 @@ const SceneRenderer = {
         return this.currentCustomLayout !== null;
     },
 
+    // -------------------------------------------------------------------------
+    // URL Content
+    // -------------------------------------------------------------------------
+
+    /**
+     * Show a web page (show_content) in a full-screen iframe.
+     * @param {string} url - Page URL
+     * @param {Object} options - Optional { transition, duration }
+     */
+    showUrl(url, options = {}) {
+        if (!this.container) {
+            console.error('[SceneRenderer] Container not initialized');
+            return;
+        }
+
+        const transition = SceneTransitions.resolve(options);
+        const retired = this._beginContent();
+
+        const iframe = document.createElement('iframe');
+        iframe.className = 'content-frame';
+        iframe.style.cssText = `
+            width: 100%;
+            height: 100%;
+            border: none;
+            position: absolute;
+            top: 0;
+            left: 0;
+        `;
+        iframe.src = url;
+        this.stage.appendChild(iframe);
+        this.currentUrl = url;
+
+        this._present(retired, transition);
+    },
+
+    /**
+     * Get the URL shown by show_content.
+     * @returns {string|null}
+     */
+    getCurrentUrl() {
+        return this.currentUrl;
+    },
+
     // -------------------------------------------------------------------------
     // Idle Screen
     // -------------------------------------------------------------------------
 
     /**
      * Show idle screen.
+     * @param {Object} options - Optional { transition, duration }
      */
-    showIdleScreen() {
-        this.clear();
+    showIdleScreen(options = {}) {
+        if (!this.container) {
+            console.error('[SceneRenderer] Container not initialized');
+            return;
+        }
+
+        const transition = SceneTransitions.resolve(options);
+        const retired = this._beginContent();
 
         const idle = document.createElement('div');
         idle.className = 'idle-screen';
         idle.innerHTML = `
             <h1>\uD83D\uDDA5\uFE0F Xentauri</h1>
-            <p>Device: <strong>${CONFIG.DEVICE_NAME}</strong></p>
-            <p class="waiting">Waiting for commands...</p>
+            <p>${I18n.t('idle.device')}: <strong>${Helpers.escapeHtml(CONFIG.DEVICE_NAME)}</strong></p>
+            <p class="waiting">${I18n.t('idle.waiting')}</p>
         `;
 
-        this.container.appendChild(idle);
+        this.stage.appendChild(idle);
+        this._present(retired, transition);
     },
 
     // -------------------------------------------------------------------------
     // Utilities
     // -------------------------------------------------------------------------
 
+    /**
+     * Check if the idle screen is currently displayed.
+     * @returns {boolean}
+     */
+    isIdle() {
+        return Boolean(this.stage?.querySelector(':scope > .idle-screen'));
+    },
+
     /**
      * Get current scene.
      * @returns {Object|null} Current scene or null
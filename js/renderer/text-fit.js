@@ -0,0 +1,81 @@
+/* =============================================================================
+   XENTAURI PI SCREEN - Text Auto-Fit
+   ============================================================================= */
+
+/**
+ * Sizes text to fill its box: finds the largest font size at which the
+ * element's content doesn't overflow it (binary search between the bounds).
+ *
+ * Elements opt in with a data-fit-text attribute; data-fit-min and
+ * data-fit-max bound the font size (px). SceneRenderer marks components with
+ * props.auto_fit and re-fits after renders, patches and resizes. Children
+ * sized in em scale along with the fitted element.
+ */
+const TextFit = {
+    // Default font size bounds (px)
+    MIN_SIZE: 10,
+    MAX_SIZE: 400,
+
+    // Search stops when the bounds are this close (px)
+    PRECISION: 0.5,
+
+    /**
+     * Fit every opted-in element under a root.
+     * @param {Element} root - Root element (inclusive)
+     * @returns {number} Number of elements fitted
+     */
+    fitAll(root) {
+        if (!root) return 0;
+
+        const elements = [root, ...root.querySelectorAll('[data-fit-text]')]
+            .filter(el => el.dataset && el.dataset.fitText !== undefined);
+
+        return elements.filter(el => this.fit(el) !== null).length;
+    },
+
+    /**
+     * Fit one element.
+     * @param {Element} element - Element with data-fit-text
+     * @returns {number|null} Applied font size (px), or null if the element
+     *   has no size yet (hidden or detached)
+     */
+    fit(element) {
+        if (!element.isConnected || element.clientWidth === 0 || element.clientHeight === 0) {
+            return null;
+        }
+
+        const min = Number(element.dataset.fitMin) || this.MIN_SIZE;
+        const max = Math.max(min, Number(element.dataset.fitMax) || this.MAX_SIZE);
+
+        let low = min;
+        let high = max;
+        let best = min;
+
+        while (high - low > this.PRECISION) {
+            const size = (low + high) / 2;
+            element.style.fontSize = `${size}px`;
+
+            if (this.fits(element)) {
+                best = size;
+                low = size;
+            } else {
+                high = size;
+            }
+        }
+
+        best = Math.floor(best * 10) / 10;
+        element.style.fontSize = `${best}px`;
+        return best;
+    },
+
+    /**
+     * Check that an element's content doesn't overflow it.
+     */
+    fits(element) {
+        return element.scrollHeight <= element.clientHeight + 1 &&
+            element.scrollWidth <= element.clientWidth + 1;
+    }
+};
+
+// Make globally available
+window.TextFit = TextFit;
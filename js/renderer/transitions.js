@@ -0,0 +1,144 @@
+/* =============================================================================
+   XENTAURI PI SCREEN - Scene Transitions
+   ============================================================================= */
+
+/**
+ * Animates the swap between two render stages (see SceneRenderer).
+ *
+ * The incoming stage is laid out hidden on top of the outgoing one. Once its
+ * images, iframes and fonts have loaded (or READY_TIMEOUT passes), both are
+ * animated with the Web Animations API. SceneRenderer tears the outgoing
+ * stage down when the transition is done, so nothing flashes in between.
+ *
+ * Types: 'none' (instant swap), 'fade' (cross-fade), 'slide' (push to the
+ * left), 'zoom' (zoom through).
+ */
+const SceneTransitions = {
+    TYPES: ['none', 'fade', 'slide', 'zoom'],
+
+    // Keyframes per type for the incoming and outgoing stage
+    KEYFRAMES: {
+        fade: {
+            in: [{ opacity: 0 }, { opacity: 1 }],
+            out: [{ opacity: 1 }, { opacity: 0 }]
+        },
+        slide: {
+            in: [{ transform: 'translateX(100%)' }, { transform: 'translateX(0)' }],
+            out: [{ transform: 'translateX(0)' }, { transform: 'translateX(-100%)' }]
+        },
+        zoom: {
+            in: [{ opacity: 0, transform: 'scale(0.92)' }, { opacity: 1, transform: 'scale(1)' }],
+            out: [{ opacity: 1, transform: 'scale(1)' }, { opacity: 0, transform: 'scale(1.08)' }]
+        }
+    },
+
+    EASING: 'ease-in-out',
+
+    // -------------------------------------------------------------------------
+    // Selection
+    // -------------------------------------------------------------------------
+
+    /**
+     * Pick the transition for a render: the command's option first, then the
+     * scene's global_style, then CONFIG.TRANSITIONS.DEFAULT.
+     * @param {Object} options - Optional { transition, duration } from the command
+     * @param {Object} style - Optional scene global_style ({ transition, transition_duration })
+     * @returns {Object} { type, duration }
+     */
+    resolve(options = {}, style = null) {
+        const requested = [options.transition, style?.transition].filter(Boolean);
+        requested
+            .filter(type => !this.TYPES.includes(type))
+            .forEach(type => Helpers.debug('SceneTransitions', `Unknown transition "${type}", ignored`));
+
+        const type = [...requested, CONFIG.TRANSITIONS.DEFAULT].find(t => this.TYPES.includes(t)) || 'none';
+        const duration = [options.duration, style?.transition_duration, CONFIG.TRANSITIONS.DURATION]
+            .find(ms => typeof ms === 'number' && ms >= 0);
+
+        return { type, duration };
+    },
+
+    // -------------------------------------------------------------------------
+    // Running
+    // -------------------------------------------------------------------------
+
+    /**
+     * Hide the incoming stage until it's ready, then animate both stages.
+     * @param {Element} incoming - Stage with the new content
+     * @param {Element} outgoing - Stage with the old content
+     * @param {Object} transition - From resolve()
+     * @returns {Object} { done: Promise, finish() } - finish() jumps to the
+     *   end state (new content fully shown); done resolves either way
+     */
+    run(incoming, outgoing, transition) {
+        const handle = { finished: false, animations: [] };
+
+        incoming.style.visibility = 'hidden';
+
+        handle.finish = () => {
+            handle.finished = true;
+            incoming.style.visibility = '';
+            handle.animations.forEach(animation => animation.cancel());
+        };
+
+        handle.done = this.whenReady(incoming).then(() => {
+            if (handle.finished) return null;
+
+            incoming.style.visibility = '';
+            const keyframes = this.KEYFRAMES[transition.type];
+            if (!keyframes || typeof incoming.animate !== 'function') return null;
+
+            const timing = { duration: transition.duration, easing: this.EASING };
+            handle.animations = [
+                incoming.animate(keyframes.in, { ...timing, fill: 'backwards' }),
+                outgoing.animate(keyframes.out, { ...timing, fill: 'forwards' })
+            ];
+
+            // Cancelled animations reject; either way the transition is over
+            return Promise.all(handle.animations.map(animation => animation.finished)).catch(() => null);
+        }).then(() => {
+            handle.finished = true;
+        });
+
+        return handle;
+    },
+
+    /**
+     * Resolve once the stage's images, iframes and web fonts have loaded.
+     * Never rejects; gives up after CONFIG.TRANSITIONS.READY_TIMEOUT.
+     * @param {Element} stage - Stage element
+     * @returns {Promise<void>}
+     */
+    whenReady(stage) {
+        const pending = [];
+
+        stage.querySelectorAll('img').forEach(img => {
+            if (!img.complete) pending.push(this._once(img, ['load', 'error']));
+        });
+        stage.querySelectorAll('iframe').forEach(iframe => {
+            pending.push(this._once(iframe, ['load', 'error']));
+        });
+        if (document.fonts?.ready) {
+            pending.push(document.fonts.ready.catch(() => null));
+        }
+
+        let timer = null;
+        const timeout = new Promise(resolve => {
+            timer = setTimeout(resolve, CONFIG.TRANSITIONS.READY_TIMEOUT);
+        });
+
+        return Promise.race([Promise.all(pending), timeout]).then(() => clearTimeout(timer));
+    },
+
+    /**
+     * Promise for the first of several events on a target.
+     */
+    _once(target, events) {
+        return new Promise(resolve => {
+            events.forEach(type => target.addEventListener(type, resolve, { once: true }));
+        });
+    }
+};
+
+// Make globally available
+window.SceneTransitions = SceneTransitions;
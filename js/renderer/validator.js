@@ -0,0 +1,532 @@
+/* =============================================================================
+   XENTAURI PI SCREEN - Scene Graph Validator
+   ============================================================================= */
+
+/**
+ * Validates incoming scenes against a versioned schema before rendering.
+ *
+ * Schemas use a small JSON Schema subset: type, enum, required, properties,
+ * items, minimum, maximum, pattern and format 'date-time'. Every component is
+ * checked against the base component schema plus the schema of its type
+ * (built-in below, or registered through ComponentRegistry).
+ *
+ * Validation never blocks rendering; errors are logged and reported to the
+ * backend so it can fix its generator.
+ */
+const SceneValidator = {
+    // Bump when the schemas below change
+    SCHEMA_VERSION: '1.9',
+
+    // -------------------------------------------------------------------------
+    // Schemas
+    // -------------------------------------------------------------------------
+
+    LAYOUT_INTENTS: ['fullscreen', 'sidebar', 'dashboard', 'stack', 'overlay', 'grid'],
+
+    // Keys of layout.breakpoints
+    BREAKPOINTS: ['portrait', 'landscape'],
+
+    SCENE_SCHEMA: {
+        type: 'object',
+        required: ['components'],
+        properties: {
+            scene_id: { type: 'string' },
+            locale: { type: 'string', pattern: '^[A-Za-z]{2,3}(-[A-Za-z0-9]{2,8})*$' },
+            design_resolution: {
+                type: 'object',
+                required: ['width', 'height'],
+                properties: {
+                    width: { type: 'number', minimum: 1 },
+                    height: { type: 'number', minimum: 1 }
+                }
+            },
+            layout: {
+                type: 'object',
+                properties: {
+                    intent: { type: 'string' },  // checked against LAYOUT_INTENTS
+                    gap: { type: 'string' },
+                    columns: { type: ['integer', 'string'], minimum: 1 },
+                    rows: { type: ['integer', 'string'], minimum: 1 },
+                    areas: { type: ['array', 'string'], items: { type: 'string' } },
+                    breakpoints: { type: 'object' }  // checked in validateLayout()
+                }
+            },
+            global_style: {
+                type: 'object',
+                properties: {
+                    background: { type: 'string' },
+                    font_family: { type: 'string' },
+                    text_color: { type: 'string' },
+                    theme: { type: 'string' },
+                    transition: { type: 'string', enum: ['none', 'fade', 'slide', 'zoom'] },
+                    transition_duration: { type: 'number', minimum: 0 }
+                }
+            },
+            components: { type: 'array' }
+        }
+    },
+
+    COMPONENT_SCHEMA: {
+        type: 'object',
+        required: ['type'],
+        properties: {
+            id: { type: 'string' },
+            type: { type: 'string' },
+            priority: { type: 'string', enum: ['primary', 'secondary', 'tertiary'] },
+            data: { type: 'object' },
+            props: {
+                type: 'object',
+                properties: {
+                    auto_fit: { type: 'boolean' },
+                    min_font_size: { type: 'number', minimum: 1 },
+                    max_font_size: { type: 'number', minimum: 1 }
+                }
+            },
+            style: {
+                type: 'object',
+                properties: {
+                    background: { type: 'string' },
+                    text_color: { type: 'string' },
+                    border_radius: { type: 'string' },
+                    padding: { type: 'string' },
+                    shadow: { type: 'string' },
+                    theme: { type: 'string' },
+                    opacity: { type: 'number', minimum: 0, maximum: 1 },
+                    backdrop_blur: { type: ['string', 'number'] }
+                }
+            },
+            position: {
+                type: 'object',
+                properties: {
+                    grid_column: { type: ['string', 'number'] },
+                    grid_row: { type: ['string', 'number'] },
+                    area: { type: 'string' },
+                    flex: { type: ['string', 'number'] },
+                    z_index: { type: ['string', 'number'] },
+                    anchor: {
+                        type: 'string',
+                        enum: ['top-left', 'top-center', 'top-right', 'center-left', 'center', 'center-right',
+                            'bottom-left', 'bottom-center', 'bottom-right', 'fill']
+                    },
+                    width: { type: ['string', 'number'] },
+                    height: { type: ['string', 'number'] },
+                    offset_x: { type: ['string', 'number'] },
+                    offset_y: { type: ['string', 'number'] }
+                }
+            }
+        }
+    },
+
+    /**
+     * Per-type schemas for the 18 built-in component types and containers.
+     * Built lazily by _buildTypeSchemas() since several types share shapes.
+     */
+    TYPE_SCHEMAS: null,
+
+    // -------------------------------------------------------------------------
+    // Validation
+    // -------------------------------------------------------------------------
+
+    /**
+     * Validate a scene.
+     * @param {Object} scene - Scene graph
+     * @returns {Object} { valid, schemaVersion, errors: [{ path, message }] }
+     */
+    validate(scene) {
+        const errors = [];
+
+        this.validateValue(scene, this.SCENE_SCHEMA, 'scene', errors);
+
+        this.validateLayout(scene?.layout, 'scene.layout', errors);
+        this.validateTheme(scene?.global_style?.theme, 'scene.global_style.theme', errors);
+
+        if (Array.isArray(scene?.components)) {
+            scene.components.forEach((component, i) => {
+                errors.push(...this.validateComponent(component, `scene.components[${i}]`));
+            });
+        }
+
+        return { valid: errors.length === 0, schemaVersion: this.SCHEMA_VERSION, errors };
+    },
+
+    /**
+     * Check a layout's intent and breakpoint overrides (the base layout
+     * schema is checked with the scene or container).
+     * @param {Object} layout - Layout specification
+     * @param {string} path - Path of the layout
+     * @param {Object[]} errors - Error accumulator
+     */
+    validateLayout(layout, path, errors) {
+        if (this._typeOf(layout) !== 'object') return;
+
+        const intent = layout.intent;
+        if (typeof intent === 'string' && !this.LAYOUT_INTENTS.includes(intent)) {
+            errors.push({
+                path: `${path}.intent`,
+                message: `unknown layout intent "${intent}" (expected ${this.LAYOUT_INTENTS.join(', ')})`
+            });
+        }
+
+        if (this._typeOf(layout.breakpoints) !== 'object') return;
+
+        Object.entries(layout.breakpoints).forEach(([name, override]) => {
+            const overridePath = `${path}.breakpoints.${name}`;
+            if (!this.BREAKPOINTS.includes(name)) {
+                errors.push({ path: overridePath, message: `unknown breakpoint (expected ${this.BREAKPOINTS.join(', ')})` });
+                return;
+            }
+            this.validateValue(override, this.SCENE_SCHEMA.properties.layout, overridePath, errors);
+            this.validateLayout({ intent: override?.intent }, overridePath, errors);
+        });
+    },
+
+    /**
+     * Check a theme name against the built-in and registered themes.
+     * @param {string} theme - Theme name (may be absent)
+     * @param {string} path - Path of the theme
+     * @param {Object[]} errors - Error accumulator
+     */
+    validateTheme(theme, path, errors) {
+        if (typeof theme === 'string' && !ThemeManager.isTheme(theme)) {
+            errors.push({
+                path,
+                message: `unknown theme "${theme}" (expected ${ThemeManager.getThemes().join(', ')})`
+            });
+        }
+    },
+
+    /**
+     * Validate a single component against the base and type schemas.
+     * @param {Object} component - Component data
+     * @param {string} path - Path prefix for error messages
+     * @returns {Object[]} Errors
+     */
+    validateComponent(component, path = 'component') {
+        const errors = [];
+
+        this.validateValue(component, this.COMPONENT_SCHEMA, path, errors);
+        if (errors.length > 0 || !component) {
+            return errors;
+        }
+
+        const schema = this.getTypeSchema(component.type);
+        if (schema === undefined) {
+            errors.push({ path: `${path}.type`, message: `unknown component type "${component.type}"` });
+        } else if (schema) {
+            this.validateValue(component, schema, path, errors);
+        }
+
+        this.validateTheme(component.style?.theme, `${path}.style.theme`, errors);
+
+        // Containers: nested layout and children
+        if (component.type === 'container') {
+            this.validateLayout(component.layout, `${path}.layout`, errors);
+            (Array.isArray(component.components) ? component.components : []).forEach((child, i) => {
+                errors.push(...this.validateComponent(child, `${path}.components[${i}]`));
+            });
+        }
+
+        return errors;
+    },
+
+    /**
+     * Get the schema for a component type.
+     * @param {string} type - Component type
+     * @returns {Object|null|undefined} Schema, null if the type has none,
+     *   undefined if the type is not renderable at all
+     */
+    getTypeSchema(type) {
+        const registered = ComponentRegistry.getSchema(type);
+        if (registered) return registered;
+
+        if (!this.TYPE_SCHEMAS) {
+            this.TYPE_SCHEMAS = this._buildTypeSchemas();
+        }
+        if (this.TYPE_SCHEMAS[type]) return this.TYPE_SCHEMAS[type];
+
+        return ComponentRegistry.getRenderer(type) ? null : undefined;
+    },
+
+    /**
+     * Validate a value against a schema, appending errors.
+     * @param {*} value - Value to check
+     * @param {Object} schema - Schema
+     * @param {string} path - Path of the value
+     * @param {Object[]} errors - Error accumulator
+     */
+    validateValue(value, schema, path, errors) {
+        if (!schema) return;
+
+        if (schema.type && !this._matchesType(value, schema.type)) {
+            const expected = Array.isArray(schema.type) ? schema.type.join(' or ') : schema.type;
+            errors.push({ path, message: `expected ${expected}, got ${this._typeOf(value)}` });
+            return;
+        }
+
+        if (schema.enum && !schema.enum.includes(value)) {
+            errors.push({ path, message: `must be one of ${schema.enum.join(', ')}` });
+        }
+
+        if (typeof value === 'string') {
+            if (schema.format === 'date-time' && isNaN(Date.parse(value))) {
+                errors.push({ path, message: `invalid date-time "${value}"` });
+            }
+            if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+                errors.push({ path, message: `does not match ${schema.pattern}` });
+            }
+        }
+
+        if (typeof value === 'number') {
+            if (schema.minimum !== undefined && value < schema.minimum) {
+                errors.push({ path, message: `must be >= ${schema.minimum}` });
+            }
+            if (schema.maximum !== undefined && value > schema.maximum) {
+                errors.push({ path, message: `must be <= ${schema.maximum}` });
+            }
+        }
+
+        if (this._typeOf(value) === 'object') {
+            (schema.required || []).forEach(key => {
+                if (value[key] === undefined || value[key] === null) {
+                    errors.push({ path: `${path}.${key}`, message: 'is required' });
+                }
+            });
+
+            Object.entries(schema.properties || {}).forEach(([key, propSchema]) => {
+                if (value[key] !== undefined && value[key] !== null) {
+                    this.validateValue(value[key], propSchema, `${path}.${key}`, errors);
+                }
+            });
+        }
+
+        if (Array.isArray(value) && schema.items) {
+            value.forEach((item, i) => this.validateValue(item, schema.items, `${path}[${i}]`, errors));
+        }
+    },
+
+    // -------------------------------------------------------------------------
+    // Helpers
+    // -------------------------------------------------------------------------
+
+    _typeOf(value) {
+        if (value === null) return 'null';
+        if (Array.isArray(value)) return 'array';
+        if (Number.isInteger(value)) return 'integer';
+        return typeof value;
+    },
+
+    _matchesType(value, type) {
+        const types = Array.isArray(type) ? type : [type];
+        const actual = this._typeOf(value);
+        return types.some(t => t === actual || (t === 'number' && actual === 'integer'));
+    },
+
+    /**
+     * Build the built-in per-type schemas.
+     */
+    _buildTypeSchemas() {
+        const text = { type: 'string' };
+        const flag = { type: 'boolean' };
+        const dateTime = { type: 'string', format: 'date-time' };
+        const withShape = (data, props = {}) => ({
+            required: data.required ? ['data'] : undefined,
+            properties: {
+                data: { type: 'object', properties: data.properties || {}, required: data.required },
+                props: { type: 'object', properties: props }
+            }
+        });
+
+        const weekStart = { type: ['integer', 'string'] };
+        const calendar = withShape({
+            properties: {
+                start_date: text,
+                range_start: text,
+                week_start: weekStart,
+                events: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        required: ['title'],
+                        properties: {
+                            title: text,
+                            start: dateTime,
+                            end: dateTime,
+                            is_all_day: flag,
+                            location: text,
+                            color: text
+                        }
+                    }
+                }
+            }
+        }, {
+            max_events: { type: 'integer', minimum: 1 },
+            max_chips: { type: 'integer', minimum: 1 },
+            week_start: weekStart,
+            start_hour: { type: 'integer', minimum: 0, maximum: 23 },
+            end_hour: { type: 'integer', minimum: 1, maximum: 24 },
+            date: text
+        });
+
+        const clock = withShape({}, {
+            format: { type: 'string', enum: ['12h', '24h'] },
+            show_seconds: flag,
+            show_date: flag
+        });
+
+        const temperature = { type: ['number', 'string'] };
+        const percent = { type: 'number', minimum: 0, maximum: 100 };
+        const units = { type: 'string', enum: ['fahrenheit', 'celsius'] };
+
+        const countdown = withShape({
+            properties: {
+                seconds_until: { type: 'number', minimum: 0 },
+                target_label: text,
+                empty: flag,
+                error: text
+            }
+        });
+
+        const doc = withShape({
+            properties: {
+                title: text,
+                summary: text,
+                preview_text: text,
+                key_points: { type: 'array', items: text },
+                last_modified: dateTime,
+                generated_content: text,
+                content_type: text,
+                error: text
+            }
+        });
+
+        return {
+            container: {
+                properties: {
+                    layout: this.SCENE_SCHEMA.properties.layout,
+                    components: { type: 'array' }
+                }
+            },
+            calendar_day: calendar,
+            calendar_week: calendar,
+            calendar_month: calendar,
+            calendar_widget: calendar,
+            calendar_agenda: calendar,
+            meeting_detail: withShape({
+                properties: {
+                    title: text,
+                    start_time: dateTime,
+                    end_time: dateTime,
+                    is_all_day: flag,
+                    location: text,
+                    description: text,
+                    attendees: { type: 'array' },
+                    empty: flag,
+                    error: text
+                }
+            }),
+            clock_digital: clock,
+            clock_analog: withShape({}, {
+                mode: { type: 'string', enum: ['tick', 'sweep'] },
+                show_seconds: flag,
+                tick_style: { type: 'string', enum: ['lines', 'dots', 'none'] },
+                numerals: { type: 'string', enum: ['arabic', 'roman', 'none'] },
+                theme: text,
+                face_color: text,
+                hand_color: text,
+                second_hand_color: text,
+                tick_color: text,
+                timezone: text,
+                label: text,
+                secondary_timezones: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        required: ['timezone'],
+                        properties: { timezone: text, label: text }
+                    }
+                }
+            }),
+            weather_current: withShape({
+                properties: {
+                    temperature: temperature,
+                    condition: text,
+                    location: text,
+                    is_placeholder: flag,
+                    feels_like: temperature,
+                    humidity: { type: 'number', minimum: 0, maximum: 100 },
+                    wind_speed: { type: 'number', minimum: 0 },
+                    wind_direction: { type: ['number', 'string'] },
+                    wind_unit: text,
+                    sunrise: dateTime,
+                    sunset: dateTime
+                }
+            }, {
+                units
+            }),
+            weather_forecast: withShape({
+                properties: {
+                    location: text,
+                    forecast: {
+                        type: 'array',
+                        items: {
+                            type: 'object',
+                            properties: {
+                                day: text,
+                                date: text,
+                                high: temperature,
+                                low: temperature,
+                                max_temp: temperature,
+                                min_temp: temperature,
+                                condition: text,
+                                precipitation_chance: percent,
+                                pop: { type: 'number', minimum: 0, maximum: 1 }
+                            }
+                        }
+                    },
+                    hourly: {
+                        type: 'array',
+                        items: {
+                            type: 'object',
+                            properties: {
+                                time: dateTime,
+                                temperature: temperature,
+                                temp: temperature,
+                                condition: text,
+                                precipitation_chance: percent,
+                                pop: { type: 'number', minimum: 0, maximum: 1 }
+                            }
+                        }
+                    }
+                }
+            }, {
+                mode: { type: 'string', enum: ['daily', 'hourly'] },
+                max_items: { type: 'integer', minimum: 1 },
+                units
+            }),
+            countdown_timer: countdown,
+            event_countdown: countdown,
+            text_block: withShape({
+                properties: { content: text }
+            }, {
+                content: text,
+                font_size: text
+            }),
+            spacer: withShape({}, { size: text }),
+            image_display: withShape({
+                required: ['url'],
+                properties: { url: text, alt: text }
+            }, {
+                fit: { type: 'string', enum: ['contain', 'cover', 'fill', 'none', 'scale-down'] }
+            }),
+            web_embed: withShape({
+                required: ['url'],
+                properties: { url: text }
+            }),
+            doc_summary: doc,
+            doc_preview: doc
+        };
+    }
+};
+
+// Make globally available
+window.SceneValidator = SceneValidator;
@@ -0,0 +1,257 @@
+/* =============================================================================
+   XENTAURI PI SCREEN - Command Scheduler
+   ============================================================================= */
+
+/**
+ * Keeps commands that carry `execute_at` / `expires_at` until they are due.
+ *
+ * Entries are persisted to localStorage so they survive reboots. A single
+ * timer is armed for the next due time (capped, so wall-clock changes and
+ * suspended devices are picked up). What "execute" and "expire" mean is up to
+ * the app's handlers; the scheduler only tracks state:
+ *
+ *   pending - waiting for executeAt (dropped if expiresAt passes first)
+ *   active  - executed, waiting for expiresAt (app reverts its content)
+ */
+const CommandScheduler = {
+    // Entries ({ id, commandType, parameters, executeAt, expiresAt, state,
+    //   createdAt, previous, contentId }), ordered by creation
+    entries: [],
+
+    // App callbacks: { execute(entry), expire(entry, reason) }
+    handlers: null,
+
+    timer: null,
+
+    // Longest single timer wait (ms)
+    MAX_TIMER_DELAY: 60000,
+
+    // -------------------------------------------------------------------------
+    // Initialization
+    // -------------------------------------------------------------------------
+
+    /**
+     * Load persisted entries and start the timer. Safe to call again.
+     * @param {Object} handlers - { execute(entry), expire(entry, reason) }
+     */
+    init(handlers) {
+        const firstInit = this.handlers === null;
+        this.handlers = handlers;
+
+        if (firstInit) {
+            this.load();
+            Helpers.debug('CommandScheduler', `Initialized with ${this.entries.length} entries`);
+        }
+
+        this.arm();
+    },
+
+    // -------------------------------------------------------------------------
+    // Entries
+    // -------------------------------------------------------------------------
+
+    /**
+     * Add a pending command.
+     * @param {Object} command - { commandId, commandType, parameters }
+     * @param {number} executeAt - Epoch ms
+     * @param {number|null} expiresAt - Epoch ms
+     * @returns {Object} Entry
+     */
+    add(command, executeAt, expiresAt = null) {
+        // Re-scheduling the same command id replaces the old entry
+        this.entries = this.entries.filter(entry => entry.id !== command.commandId);
+
+        const entry = {
+            id: command.commandId,
+            commandType: command.commandType,
+            parameters: command.parameters,
+            executeAt,
+            expiresAt,
+            state: 'pending',
+            createdAt: Date.now(),
+            previous: null,
+            contentId: null
+        };
+
+        this.entries.push(entry);
+        this.save();
+        this.arm();
+
+        Helpers.debug('CommandScheduler', `Scheduled ${entry.commandType} (${entry.id})`, {
+            executeAt: new Date(executeAt).toISOString()
+        });
+        return entry;
+    },
+
+    /**
+     * Mark an executed command as active until it expires.
+     * @param {Object} command - { commandId, commandType, parameters }
+     * @param {number} expiresAt - Epoch ms
+     * @param {Object} content - { previous, contentId } for reverting
+     */
+    activate(command, expiresAt, content) {
+        let entry = this.get(command.commandId);
+        if (!entry) {
+            entry = {
+                id: command.commandId,
+                commandType: command.commandType,
+                parameters: command.parameters,
+                executeAt: Date.now(),
+                expiresAt,
+                createdAt: Date.now()
+            };
+            this.entries.push(entry);
+        }
+
+        entry.state = 'active';
+        entry.previous = content.previous;
+        entry.contentId = content.contentId;
+
+        this.save();
+        this.arm();
+    },
+
+    /**
+     * Remove an entry without running its handlers.
+     * @param {string} id - Command id
+     * @returns {Object|null} Removed entry
+     */
+    remove(id) {
+        const entry = this.get(id);
+        if (!entry) return null;
+
+        this.entries = this.entries.filter(e => e !== entry);
+
+        // Later takeovers that would revert to this entry's content revert to
+        // what this entry replaced instead
+        if (entry.state === 'active' && entry.contentId) {
+            this.entries.forEach(other => {
+                if (other.previous?.id === entry.contentId) {
+                    other.previous = entry.previous;
+                }
+            });
+        }
+
+        this.save();
+        this.arm();
+        return entry;
+    },
+
+    get(id) {
+        return this.entries.find(entry => entry.id === id) || null;
+    },
+
+    /**
+     * Entries in due order (for list_schedule).
+     * @returns {Object[]} Snake_case summaries
+     */
+    list() {
+        return [...this.entries]
+            .sort((a, b) => this.nextDue(a) - this.nextDue(b))
+            .map(entry => ({
+                command_id: entry.id,
+                command_type: entry.commandType,
+                state: entry.state,
+                execute_at: new Date(entry.executeAt).toISOString(),
+                expires_at: entry.expiresAt ? new Date(entry.expiresAt).toISOString() : null,
+                created_at: new Date(entry.createdAt).toISOString()
+            }));
+    },
+
+    /**
+     * Drop every entry (e.g. after unpairing).
+     */
+    clear() {
+        this.entries = [];
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+        Helpers.clearStorage(CONFIG.SCHEDULER.STORAGE_KEY);
+    },
+
+    // -------------------------------------------------------------------------
+    // Timer
+    // -------------------------------------------------------------------------
+
+    /**
+     * Next time an entry needs attention (execute or expire).
+     */
+    nextDue(entry) {
+        if (entry.state === 'pending') return entry.executeAt;
+        return entry.expiresAt ?? Infinity;
+    },
+
+    arm() {
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+
+        if (!this.handlers || this.entries.length === 0) return;
+
+        const next = Math.min(...this.entries.map(entry => this.nextDue(entry)));
+        if (next === Infinity) return;
+
+        const delay = Math.min(Math.max(0, next - Date.now()), this.MAX_TIMER_DELAY);
+        this.timer = setTimeout(() => this.tick(), delay);
+    },
+
+    /**
+     * Execute due entries and expire finished ones.
+     */
+    tick() {
+        this.timer = null;
+        const now = Date.now();
+
+        // Snapshot: handlers may add or remove entries
+        [...this.entries].forEach(entry => {
+            if (!this.entries.includes(entry)) return;
+
+            if (entry.state === 'pending') {
+                if (entry.expiresAt && now >= entry.expiresAt) {
+                    this.remove(entry.id);
+                    this.run('expire', entry, 'missed');
+                } else if (now >= entry.executeAt) {
+                    this.remove(entry.id);
+                    this.run('execute', entry);
+                }
+            } else if (entry.expiresAt && now >= entry.expiresAt) {
+                this.run('expire', entry, 'expired');
+                this.remove(entry.id);
+            }
+        });
+
+        this.arm();
+    },
+
+    run(handler, entry, reason) {
+        try {
+            this.handlers[handler](entry, reason);
+        } catch (e) {
+            console.error(`[CommandScheduler] ${handler} failed for ${entry.id}:`, e);
+        }
+    },
+
+    // -------------------------------------------------------------------------
+    // Persistence
+    // -------------------------------------------------------------------------
+
+    load() {
+        const stored = Helpers.loadFromStorage(CONFIG.SCHEDULER.STORAGE_KEY, Infinity);
+        this.entries = Array.isArray(stored)
+            ? stored.filter(entry => entry && entry.id && entry.commandType && Number.isFinite(entry.executeAt))
+            : [];
+    },
+
+    save() {
+        if (this.entries.length === 0) {
+            Helpers.clearStorage(CONFIG.SCHEDULER.STORAGE_KEY);
+            return;
+        }
+        Helpers.saveToStorage(CONFIG.SCHEDULER.STORAGE_KEY, this.entries);
+    }
+};
+
+// Make globally available
+window.CommandScheduler = CommandScheduler;
@@ -0,0 +1,124 @@
+/* =============================================================================
+   XENTAURI PI SCREEN - Telemetry Collector
+   ============================================================================= */
+
+/**
+ * Collects device health and display state for the periodic `telemetry`
+ * message. The WebSocket client sends it every CONFIG.TELEMETRY.INTERVAL and
+ * adds its own connection counters; the app supplies the current content.
+ */
+const TelemetryCollector = {
+    // Number of recent render durations kept for the averages
+    MAX_RENDER_SAMPLES: 20,
+
+    // Recent renders ({ kind, durationMs, at }), newest last
+    renders: [],
+
+    // Total renders since page load
+    renderCount: 0,
+
+    // -------------------------------------------------------------------------
+    // Recording
+    // -------------------------------------------------------------------------
+
+    /**
+     * Record how long a render took.
+     * @param {string} kind - 'scene', 'custom_layout' or 'patch'
+     * @param {number} durationMs - Render duration
+     */
+    recordRender(kind, durationMs) {
+        this.renders.push({ kind, durationMs, at: Date.now() });
+        if (this.renders.length > this.MAX_RENDER_SAMPLES) {
+            this.renders.shift();
+        }
+        this.renderCount++;
+    },
+
+    // -------------------------------------------------------------------------
+    // Collection
+    // -------------------------------------------------------------------------
+
+    /**
+     * Build the telemetry payload.
+     * @param {Object} content - Current content ({ type, scene_id, ... }) from the app
+     * @returns {Object} Telemetry fields (snake_case, sent as-is)
+     */
+    collect(content = {}) {
+        return {
+            timestamp: new Date().toISOString(),
+            device_name: CONFIG.DEVICE_NAME,
+            uptime_ms: Math.round(performance.now()),
+            user_agent: navigator.userAgent,
+            screen: this.getScreen(),
+            memory: this.getMemory(),
+            content,
+            render: this.getRenderStats(),
+            tts: this.getTtsStatus()
+        };
+    },
+
+    /**
+     * Screen and viewport dimensions.
+     */
+    getScreen() {
+        return {
+            width: window.screen?.width || null,
+            height: window.screen?.height || null,
+            viewport_width: window.innerWidth,
+            viewport_height: window.innerHeight,
+            device_pixel_ratio: window.devicePixelRatio || 1
+        };
+    },
+
+    /**
+     * JS heap usage (Chromium only, null elsewhere).
+     */
+    getMemory() {
+        const memory = performance.memory;
+        if (!memory) return null;
+
+        return {
+            used_js_heap_bytes: memory.usedJSHeapSize,
+            total_js_heap_bytes: memory.totalJSHeapSize,
+            js_heap_limit_bytes: memory.jsHeapSizeLimit
+        };
+    },
+
+    /**
+     * Summary of recent render durations.
+     */
+    getRenderStats() {
+        const last = this.renders[this.renders.length - 1];
+        const durations = this.renders.map(r => r.durationMs);
+
+        return {
+            count: this.renderCount,
+            last_kind: last?.kind || null,
+            last_ms: last ? last.durationMs : null,
+            last_at: last ? new Date(last.at).toISOString() : null,
+            avg_ms: durations.length
+                ? Math.round(durations.reduce((sum, ms) => sum + ms, 0) / durations.length)
+                : null,
+            max_ms: durations.length ? Math.max(...durations) : null
+        };
+    },
+
+    /**
+     * Text-to-speech availability and playback state.
+     */
+    getTtsStatus() {
+        if (!window.ElevenLabsService) {
+            return { available: false };
+        }
+
+        return {
+            available: true,
+            enabled: Boolean(CONFIG.ELEVENLABS.ENABLED),
+            configured: ElevenLabsService.isConfigured(),
+            speaking: ElevenLabsService.isSpeaking()
+        };
+    }
+};
+
+// Make globally available
+window.TelemetryCollector = TelemetryCollector;
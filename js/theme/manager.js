@@ -0,0 +1,252 @@
+/* =============================================================================
+   XENTAURI PI SCREEN - Theme Manager
+   ============================================================================= */
+
+/**
+ * Selects the colour theme: a set of CSS variables from css/themes.css,
+ * chosen with a data-theme attribute.
+ *
+ * The device theme (CONFIG.THEME.NAME, set with set_theme or set_config) goes
+ * on <html>; scenes (global_style.theme) and components (style.theme) override
+ * it for their subtree. NAME 'auto' switches between THEME.LIGHT and
+ * THEME.DARK at local sunrise/sunset (THEME.LATITUDE / LONGITUDE) or at fixed
+ * times (THEME.LIGHT_START / DARK_START).
+ *
+ * Brand themes are registered at runtime (e.g. by a plugin) as variable
+ * overrides on top of a built-in theme:
+ *
+ *   ThemeManager.register('acme', { base: 'light', variables: { 'color-primary': '#e30613' } });
+ */
+const ThemeManager = {
+    // Built-in themes (css/themes.css)
+    THEMES: ['dark', 'light', 'high-contrast'],
+
+    // Brand themes: name -> { base, variables }
+    brands: {},
+
+    // Theme currently applied to the device
+    current: null,
+
+    // Re-check timer while NAME is 'auto'
+    timer: null,
+
+    // <style> holding the brand theme rules
+    styleElement: null,
+
+    // How often 'auto' re-checks the time (ms)
+    CHECK_INTERVAL: 60000,
+
+    // Sun altitude at sunrise/sunset, accounting for refraction (degrees)
+    SUN_ALTITUDE: -0.833,
+
+    // -------------------------------------------------------------------------
+    // Themes
+    // -------------------------------------------------------------------------
+
+    /**
+     * @returns {string[]} Built-in and registered theme names
+     */
+    getThemes() {
+        return [...this.THEMES, ...Object.keys(this.brands)];
+    },
+
+    isTheme(name) {
+        return this.getThemes().includes(name);
+    },
+
+    /**
+     * Register (or replace) a brand theme.
+     * @param {string} name - Theme name (lowercase, digits and dashes)
+     * @param {Object} definition - { base: built-in theme (default 'dark'),
+     *   variables: { 'bg-primary': '#000', ... } (leading '--' optional) }
+     * @returns {boolean} True if registered
+     */
+    register(name, definition = {}) {
+        if (!/^[a-z0-9-]+$/.test(name) || this.THEMES.includes(name)) {
+            console.error(`[ThemeManager] Invalid brand theme name "${name}"`);
+            return false;
+        }
+
+        const base = this.THEMES.includes(definition.base) ? definition.base : 'dark';
+        const variables = {};
+        Object.entries(definition.variables || {}).forEach(([key, value]) => {
+            const property = `--${String(key).replace(/^--/, '')}`;
+            if (/^--[\w-]+$/.test(property) && /^[^;{}<>]+$/.test(String(value))) {
+                variables[property] = String(value);
+            }
+        });
+
+        this.brands[name] = { base, variables };
+        this._writeBrandStyles();
+        console.log(`[ThemeManager] Registered brand theme: ${name} (${base})`);
+
+        // The configured theme may have been waiting for this brand
+        if (this.current !== null) {
+            this.apply();
+        }
+        return true;
+    },
+
+    /**
+     * Set an element's theme; null/undefined removes the override.
+     * @param {Element} element - <html>, a scene or a component wrapper
+     * @param {string|null} name - Theme name
+     * @returns {boolean} False if the theme is unknown (element left unthemed)
+     */
+    applyTo(element, name) {
+        if (!name) {
+            delete element.dataset.theme;
+            return true;
+        }
+        if (!this.isTheme(name)) {
+            delete element.dataset.theme;
+            Helpers.debug('ThemeManager', `Unknown theme "${name}", ignored`);
+            return false;
+        }
+
+        const brand = this.brands[name];
+        element.dataset.theme = brand ? `${brand.base} ${name}` : name;
+        return true;
+    },
+
+    /**
+     * Rebuild the <style> with one rule per brand theme.
+     */
+    _writeBrandStyles() {
+        if (!this.styleElement) {
+            this.styleElement = document.createElement('style');
+            this.styleElement.id = 'brand-themes';
+            document.head.appendChild(this.styleElement);
+        }
+
+        this.styleElement.textContent = Object.entries(this.brands).map(([name, brand]) => {
+            const declarations = Object.entries(brand.variables)
+                .map(([property, value]) => `    ${property}: ${value};`)
+                .join('\n');
+            return `[data-theme~="${name}"] {\n${declarations}\n}`;
+        }).join('\n\n');
+    },
+
+    // -------------------------------------------------------------------------
+    // Device Theme
+    // -------------------------------------------------------------------------
+
+    /**
+     * Apply CONFIG.THEME to the device. Safe to call again (after config
+     * changes); also (re)starts the 'auto' timer.
+     * @returns {string} Applied theme name
+     */
+    apply() {
+        const setting = CONFIG.THEME.NAME;
+        const auto = setting === 'auto';
+
+        let theme = auto ? this.getAutoTheme(new Date()) : setting;
+        if (!this.isTheme(theme)) {
+            console.warn(`[ThemeManager] Unknown theme "${theme}", using dark`);
+            theme = 'dark';
+        }
+
+        if (theme !== this.current) {
+            this.applyTo(document.documentElement, theme);
+            console.log(`[ThemeManager] Theme: ${theme}${auto ? ' (auto)' : ''}`);
+            this.current = theme;
+        }
+
+        if (auto && !this.timer) {
+            this.timer = setInterval(() => this.apply(), this.CHECK_INTERVAL);
+        } else if (!auto && this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+
+        return theme;
+    },
+
+    /**
+     * Light or dark theme for a moment, per THEME.AUTO_MODE.
+     * @param {Date} date - Moment
+     * @returns {string} THEME.LIGHT or THEME.DARK
+     */
+    getAutoTheme(date) {
+        return this.isDaytime(date) ? CONFIG.THEME.LIGHT : CONFIG.THEME.DARK;
+    },
+
+    /**
+     * Check if it's day: between sunrise and sunset ('sun', needs a location)
+     * or between LIGHT_START and DARK_START ('schedule').
+     */
+    isDaytime(date) {
+        const { AUTO_MODE, LATITUDE, LONGITUDE } = CONFIG.THEME;
+
+        if (AUTO_MODE === 'sun' && typeof LATITUDE === 'number' && typeof LONGITUDE === 'number') {
+            const sun = this.getSunTimes(date, LATITUDE, LONGITUDE);
+            if (sun.polar) return sun.polar === 'day';
+            return date >= sun.sunrise && date < sun.sunset;
+        }
+
+        if (AUTO_MODE === 'sun') {
+            Helpers.debug('ThemeManager', 'No THEME.LATITUDE/LONGITUDE, using the schedule');
+        }
+
+        const start = Helpers.parseTimeOfDay(CONFIG.THEME.LIGHT_START) ?? 7 * 60;
+        const end = Helpers.parseTimeOfDay(CONFIG.THEME.DARK_START) ?? 19 * 60;
+        const minutes = date.getHours() * 60 + date.getMinutes();
+        return start <= end
+            ? minutes >= start && minutes < end
+            : minutes >= start || minutes < end;
+    },
+
+    /**
+     * Sunrise and sunset for the solar day around a moment (NOAA-style
+     * approximation, accurate to a minute or two).
+     * @param {Date} date - Moment
+     * @param {number} latitude - Degrees north
+     * @param {number} longitude - Degrees east
+     * @returns {Object} { sunrise: Date, sunset: Date } or { polar: 'day'|'night' }
+     */
+    getSunTimes(date, latitude, longitude) {
+        const rad = Math.PI / 180;
+        const dayMs = 86400000;
+        const J1970 = 2440588;
+        const J2000 = 2451545;
+        const J0 = 0.0009;
+
+        const lw = -longitude * rad;
+        const phi = latitude * rad;
+        const days = date.getTime() / dayMs - 0.5 + J1970 - J2000;
+        const cycle = Math.round(days - J0 - lw / (2 * Math.PI));
+        const approxTransit = J0 + lw / (2 * Math.PI) + cycle;
+
+        // Sun position at solar noon
+        const M = rad * (357.5291 + 0.98560028 * approxTransit);
+        const C = rad * (1.9148 * Math.sin(M) + 0.02 * Math.sin(2 * M) + 0.0003 * Math.sin(3 * M));
+        const L = M + C + rad * 102.9372 + Math.PI;
+        const declination = Math.asin(Math.sin(rad * 23.4397) * Math.sin(L));
+        const noon = J2000 + approxTransit + 0.0053 * Math.sin(M) - 0.0069 * Math.sin(2 * L);
+
+        // Hour angle of the sun crossing SUN_ALTITUDE
+        const cosH = (Math.sin(this.SUN_ALTITUDE * rad) - Math.sin(phi) * Math.sin(declination)) /
+            (Math.cos(phi) * Math.cos(declination));
+        if (cosH < -1) return { polar: 'day' };
+        if (cosH > 1) return { polar: 'night' };
+
+        const halfDay = Math.acos(cosH) / (2 * Math.PI);
+        const toDate = (julian) => new Date((julian + 0.5 - J1970) * dayMs);
+
+        return { sunrise: toDate(noon - halfDay), sunset: toDate(noon + halfDay) };
+    },
+
+    /**
+     * Current theme state (snake_case, for telemetry).
+     */
+    getStatus() {
+        return {
+            theme: this.current,
+            setting: CONFIG.THEME.NAME,
+            auto_mode: CONFIG.THEME.NAME === 'auto' ? CONFIG.THEME.AUTO_MODE : null
+        };
+    }
+};
+
+// Make globally available
+window.ThemeManager = ThemeManager;
@@ -11,32 +11,39 @@ const Helpers = {
     // -------------------------------------------------------------------------
 
     /**
-     * Format an ISO timestamp to a readable time string.
-     * @param {string} isoString - ISO 8601 timestamp
-     * @returns {string} Formatted time (e.g., "2:30 PM")
+     * Format a timestamp as a time in the active locale (see I18n).
+     * @param {string|number|Date} value - ISO 8601 timestamp, epoch ms or Date
+     * @param {Object} options - Intl.DateTimeFormat options (replace the default)
+     * @returns {string} Formatted time (e.g., "2:30 PM" in en-US, "14:30" in es)
      */
-    formatTime(isoString) {
-        if (!isoString) return '';
-        const date = new Date(isoString);
-        return date.toLocaleTimeString('en-US', {
-            hour: 'numeric',
-            minute: '2-digit'
-        });
+    formatTime(value, options = { hour: 'numeric', minute: '2-digit' }) {
+        if (!value && value !== 0) return '';
+        const date = new Date(value);
+        if (isNaN(date.getTime())) return '';
+        return date.toLocaleTimeString(I18n.getLocale(), options);
     },
 
     /**
-     * Format an ISO timestamp to a readable date string.
-     * @param {string} isoString - ISO 8601 timestamp
+     * Format a timestamp as a date in the active locale (see I18n).
+     * @param {string|number|Date} value - ISO 8601 timestamp, epoch ms or Date
+     * @param {Object} options - Intl.DateTimeFormat options (replace the default)
      * @returns {string} Formatted date (e.g., "Monday, January 15")
      */
-    formatDate(isoString) {
-        if (!isoString) return '';
-        const date = new Date(isoString);
-        return date.toLocaleDateString('en-US', {
-            weekday: 'long',
-            month: 'long',
-            day: 'numeric'
-        });
+    formatDate(value, options = { weekday: 'long', month: 'long', day: 'numeric' }) {
+        if (!value && value !== 0) return '';
+        const date = new Date(value);
+        if (isNaN(date.getTime())) return '';
+        return date.toLocaleDateString(I18n.getLocale(), options);
+    },
+
+    /**
+     * Format a number in the active locale (see I18n).
+     * @param {number} value - Number
+     * @param {Object} options - Intl.NumberFormat options
+     * @returns {string} Formatted number (e.g., "1,234.5" in en, "1234,5" in es)
+     */
+    formatNumber(value, options = {}) {
+        return Number(value).toLocaleString(I18n.getLocale(), options);
     },
 
     /**
@@ -51,10 +58,132 @@ const Helpers = {
         return `${String(h).padStart(2, '0')}:${String(m).padStart(2, '0')}:${String(s).padStart(2, '0')}`;
     },
 
+    // -------------------------------------------------------------------------
+    // Date Utilities
+    // -------------------------------------------------------------------------
+
+    /**
+     * Parse a date value. Date-only strings ("2026-01-15") are local midnight,
+     * not UTC midnight, so all-day events stay on their day.
+     * @param {string|number|Date} value - Date value
+     * @returns {Date|null} Parsed date or null if invalid
+     */
+    parseDate(value) {
+        if (value === null || value === undefined || value === '') return null;
+
+        const dateOnly = typeof value === 'string' && value.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+        const date = dateOnly
+            ? new Date(Number(dateOnly[1]), Number(dateOnly[2]) - 1, Number(dateOnly[3]))
+            : new Date(value);
+
+        return isNaN(date.getTime()) ? null : date;
+    },
+
+    /**
+     * Get local midnight of a date.
+     * @param {Date} date - Date
+     * @returns {Date} New date at 00:00 local time
+     */
+    startOfDay(date) {
+        return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+    },
+
+    /**
+     * Add days to a date (DST-safe, keeps local time of day).
+     * @param {Date} date - Date
+     * @param {number} days - Days to add (may be negative)
+     * @returns {Date} New date
+     */
+    addDays(date, days) {
+        const result = new Date(date);
+        result.setDate(result.getDate() + days);
+        return result;
+    },
+
+    /**
+     * Check if two dates fall on the same local day.
+     * @returns {boolean}
+     */
+    isSameDay(a, b) {
+        return a.getFullYear() === b.getFullYear() &&
+            a.getMonth() === b.getMonth() &&
+            a.getDate() === b.getDate();
+    },
+
+    /**
+     * Get the first day of the week containing a date.
+     * @param {Date} date - Date
+     * @param {number} weekStart - First day of week (0 = Sunday, 1 = Monday, ...)
+     * @returns {Date} Local midnight of the week's first day
+     */
+    startOfWeek(date, weekStart = 0) {
+        const day = this.startOfDay(date);
+        const offset = (day.getDay() - weekStart + 7) % 7;
+        return this.addDays(day, -offset);
+    },
+
+    /**
+     * Parse a day of the week.
+     * @param {number|string} value - 0-6 or a day name ("monday", "sun", ...)
+     * @returns {number|null} Day index (0 = Sunday), null if invalid
+     */
+    parseDayOfWeek(value) {
+        if (typeof value === 'number' && value >= 0 && value <= 6) {
+            return Math.floor(value);
+        }
+        if (typeof value === 'string') {
+            const names = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+            const index = names.indexOf(value.toLowerCase().substring(0, 3));
+            if (index !== -1) return index;
+        }
+        return null;
+    },
+
+    /**
+     * Normalize a week start setting to a day index.
+     * @param {number|string} value - 0-6 or a day name ("monday", "sun", ...)
+     * @returns {number} Day index (defaults to 0 = Sunday)
+     */
+    parseWeekStart(value) {
+        return this.parseDayOfWeek(value) ?? 0;
+    },
+
+    /**
+     * Parse a time of day.
+     * @param {string} value - "HH:MM" (24h); "24:00" is accepted as end of day
+     * @returns {number|null} Minutes since midnight, null if invalid
+     */
+    parseTimeOfDay(value) {
+        const match = /^(\d{1,2}):(\d{2})$/.exec(String(value).trim());
+        if (!match) return null;
+
+        const hours = Number(match[1]);
+        const minutes = Number(match[2]);
+        if (hours > 24 || minutes > 59 || (hours === 24 && minutes > 0)) return null;
+        return hours * 60 + minutes;
+    },
+
     // -------------------------------------------------------------------------
     // String Utilities
     // -------------------------------------------------------------------------
 
+    /**
+     * Compare dotted version strings numerically ('1.10.0' > '1.9.2').
+     * @param {string} a - Version
+     * @param {string} b - Version
+     * @returns {number} -1, 0 or 1
+     */
+    compareVersions(a, b) {
+        const pa = String(a).split('.').map(n => parseInt(n, 10) || 0);
+        const pb = String(b).split('.').map(n => parseInt(n, 10) || 0);
+
+        for (let i = 0; i < Math.max(pa.length, pb.length); i++) {
+            const diff = (pa[i] || 0) - (pb[i] || 0);
+            if (diff !== 0) return diff > 0 ? 1 : -1;
+        }
+        return 0;
+    },
+
     /**
      * Escape HTML special characters to prevent XSS.
      * @param {string} text - Raw text
@@ -108,6 +237,19 @@ const Helpers = {
         return icons[condition?.toLowerCase()] || icons['default'];
     },
 
+    /**
+     * Convert a wind direction to a compass point.
+     * @param {number|string} direction - Degrees, or an already formatted string
+     * @returns {string} Compass point (e.g. "NE") or empty string
+     */
+    getWindDirection(direction) {
+        if (typeof direction === 'string') return direction;
+        if (typeof direction !== 'number' || isNaN(direction)) return '';
+
+        const points = ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'];
+        return points[Math.round((((direction % 360) + 360) % 360) / 45) % 8];
+    },
+
     // -------------------------------------------------------------------------
     // DOM Utilities
     // -------------------------------------------------------------------------
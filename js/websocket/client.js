@@ -18,6 +18,14 @@ class XentauriWebSocket {
         this.reconnectAttempts = 0;
         this.reconnectTimer = null;
         this.heartbeatInterval = null;
+        this.telemetryInterval = null;
+
+        // Connection counters (reported in telemetry)
+        this.stats = {
+            connects: 0,
+            reconnects: 0,
+            connectedAt: null
+        };
 
         // Callbacks
         this.onConnected = options.onConnected || (() => {});
@@ -25,6 +33,22 @@ class XentauriWebSocket {
         this.onCommand = options.onCommand || (() => {});
         this.onError = options.onError || (() => {});
         this.onReconnecting = options.onReconnecting || (() => {});
+        this.onHelloAck = options.onHelloAck || (() => {});
+
+        // Capabilities provider for the hello handshake: () => payload fields
+        this.getCapabilities = options.getCapabilities || (() => ({}));
+
+        // Server's hello_ack for the current connection (null until received)
+        this.negotiated = null;
+
+        // Messages produced while disconnected, replayed after reconnecting
+        this.outbox = new OutboundQueue({ agentId: this.agentId });
+
+        // Outcomes of recent commands (duplicates are re-ACKed, not re-run)
+        this.history = new CommandHistory({ agentId: this.agentId });
+
+        // Telemetry provider: () => payload fields (null = no telemetry)
+        this.getTelemetry = options.getTelemetry || null;
 
         // Bind methods
         this.connect = this.connect.bind(this);
@@ -114,6 +138,7 @@ class XentauriWebSocket {
             clearInterval(this.heartbeatInterval);
             this.heartbeatInterval = null;
         }
+        this.stopTelemetry();
 
         if (this.reconnectTimer) {
             clearTimeout(this.reconnectTimer);
@@ -137,12 +162,24 @@ class XentauriWebSocket {
         this.log('Connected successfully');
         this.connected = true;
         this.reconnectAttempts = 0;
+        this.stats.connects++;
+        this.stats.connectedAt = Date.now();
+        this.negotiated = null;
+
+        // Announce protocol version and capabilities before anything else
+        this.sendHello();
+
+        // Replay messages queued while offline (ACKs, reports)
+        this.flushOutbox();
 
         // Start heartbeat
         this.startHeartbeat();
 
         // Notify callback
         this.onConnected();
+
+        // Report state right away (after the app restored its content)
+        this.startTelemetry();
     }
 
     handleMessage(event) {
@@ -163,6 +200,10 @@ class XentauriWebSocket {
                     this.log('Heartbeat acknowledged');
                     break;
 
+                case 'hello_ack':
+                    this.handleHelloAck(data);
+                    break;
+
                 default:
                     this.log(`Unknown message type: ${data.type}`);
             }
@@ -174,11 +215,14 @@ class XentauriWebSocket {
     handleClose(event) {
         this.connected = false;
 
-        // Clear heartbeat
+        // Clear heartbeat and telemetry
         if (this.heartbeatInterval) {
             clearInterval(this.heartbeatInterval);
             this.heartbeatInterval = null;
         }
+        this.stopTelemetry();
+        this.stats.connectedAt = null;
+        this.negotiated = null;
 
         const reason = event.reason || (event.code === 1000 ? 'Normal closure' : `Code ${event.code}`);
         this.log(`Disconnected: ${reason}`);
@@ -197,24 +241,172 @@ class XentauriWebSocket {
         this.onError({ type: 'websocket_error', error });
     }
 
+    // -------------------------------------------------------------------------
+    // Handshake
+    // -------------------------------------------------------------------------
+
+    /**
+     * Send the `hello` message: protocol/client version plus the
+     * capabilities supplied by the app (commands, component types, features).
+     */
+    sendHello() {
+        let capabilities;
+        try {
+            capabilities = this.getCapabilities();
+        } catch (e) {
+            this.logError('Failed to collect capabilities', e);
+            capabilities = {};
+        }
+
+        this.send({
+            type: 'hello',
+            protocol_version: CONFIG.PROTOCOL_VERSION,
+            client_version: CONFIG.CLIENT_VERSION,
+            device_name: CONFIG.DEVICE_NAME,
+            ...capabilities
+        });
+        this.log('Sent hello', { protocol: CONFIG.PROTOCOL_VERSION, client: CONFIG.CLIENT_VERSION });
+    }
+
+    /**
+     * Handle the server's answer to `hello`.
+     * @param {Object} data - { protocol_version, features, min_client_version, reload, message }
+     */
+    handleHelloAck(data) {
+        this.negotiated = {
+            protocolVersion: data.protocol_version ?? CONFIG.PROTOCOL_VERSION,
+            features: data.features && typeof data.features === 'object' ? data.features : {},
+            minClientVersion: data.min_client_version || null,
+            reload: Boolean(data.reload),
+            message: data.message || null
+        };
+
+        this.log('Hello acknowledged', this.negotiated);
+
+        if (this.negotiated.features.telemetry === false) {
+            this.stopTelemetry();
+        }
+
+        this.onHelloAck(this.negotiated);
+    }
+
     // -------------------------------------------------------------------------
     // Command Handling
     // -------------------------------------------------------------------------
 
+    /**
+     * Dispatch a command to the onCommand callback and ACK its outcome.
+     * The callback may return (or resolve to) a result object
+     * `{ status, errorCode, errorMessage, durationMs }` where status is one of
+     * 'completed', 'failed', 'fallback' or 'scheduled'. Returning nothing means
+     * 'completed'.
+     * Asynchronous handlers get an immediate 'received' ACK first.
+     *
+     * Commands already processed (same command_id) are not executed again;
+     * the original result is re-sent. Commands whose `timestamp` is older
+     * than CONFIG.COMMANDS.MAX_AGE are rejected as expired.
+     */
     handleCommand(data) {
         const { command_id, command_type, parameters } = data;
 
         this.log(`Command received: ${command_type}`, { command_id, parameters });
 
+        const startedAt = performance.now();
+        let outcome;
+
+        if (command_id) {
+            const previous = this.history.get(command_id);
+            if (previous) {
+                this.log(`Duplicate command ${command_id}, re-sending ${previous.status} ACK`);
+                this.sendAck(command_id, previous.status, { ...previous, duplicate: true });
+                return;
+            }
+
+            const ageMs = this.commandAge(data);
+            if (CONFIG.COMMANDS.MAX_AGE > 0 && ageMs > CONFIG.COMMANDS.MAX_AGE) {
+                this.log(`Discarding expired command ${command_id} (${Math.round(ageMs / 1000)}s old)`);
+                this.reportCommandResult(command_id, {
+                    status: 'failed',
+                    errorCode: 'command_expired',
+                    errorMessage: `Command is ${Math.round(ageMs / 1000)}s old (max ${Math.round(CONFIG.COMMANDS.MAX_AGE / 1000)}s)`
+                }, startedAt);
+                return;
+            }
+
+            this.history.start(command_id);
+        }
+
         // Pass to callback
-        this.onCommand({
-            commandId: command_id,
-            commandType: command_type,
-            parameters: parameters || {}
-        });
+        try {
+            outcome = this.onCommand({
+                commandId: command_id,
+                commandType: command_type,
+                parameters: parameters || {},
+                executeAt: data.execute_at,
+                expiresAt: data.expires_at
+            });
+        } catch (e) {
+            this.logError(`Command ${command_type} threw`, e);
+            this.reportCommandResult(command_id, this.exceptionResult(e), startedAt);
+            return;
+        }
 
-        // Send acknowledgment
-        this.sendAck(command_id, 'completed');
+        if (outcome && typeof outcome.then === 'function') {
+            this.sendAck(command_id, 'received');
+            outcome
+                .then(result => this.reportCommandResult(command_id, result, startedAt))
+                .catch(e => {
+                    this.logError(`Command ${command_type} rejected`, e);
+                    this.reportCommandResult(command_id, this.exceptionResult(e), startedAt);
+                });
+            return;
+        }
+
+        this.reportCommandResult(command_id, outcome, startedAt);
+    }
+
+    /**
+     * Send the final ACK for a command from its handler result.
+     * @param {string} commandId - Command ID
+     * @param {Object|undefined} result - Handler result
+     * @param {number} startedAt - performance.now() when the command arrived
+     */
+    reportCommandResult(commandId, result, startedAt) {
+        const durationMs = result?.durationMs ?? Math.round(performance.now() - startedAt);
+        const status = result?.status || 'completed';
+        const details = {
+            errorCode: result?.errorCode,
+            errorMessage: result?.errorMessage,
+            durationMs
+        };
+
+        if (commandId) {
+            this.history.record(commandId, { status, ...details });
+        }
+
+        this.sendAck(commandId, status, details);
+    }
+
+    /**
+     * Age of a command from its optional `timestamp` (ISO string or epoch ms).
+     * @returns {number} Milliseconds since issue, 0 if unknown
+     */
+    commandAge(data) {
+        if (data.timestamp === undefined || data.timestamp === null) return 0;
+
+        const issuedAt = typeof data.timestamp === 'number' ? data.timestamp : Date.parse(data.timestamp);
+        return Number.isFinite(issuedAt) ? Math.max(0, Date.now() - issuedAt) : 0;
+    }
+
+    /**
+     * Build a failed result from a thrown error.
+     */
+    exceptionResult(error) {
+        return {
+            status: 'failed',
+            errorCode: 'handler_exception',
+            errorMessage: error?.message || String(error)
+        };
     }
 
     // -------------------------------------------------------------------------
@@ -222,11 +414,31 @@ class XentauriWebSocket {
     // -------------------------------------------------------------------------
 
     /**
-     * Send a message to the server.
+     * Send a message to the server, queueing it if the socket isn't open.
+     * @param {Object} message - Message with a type
+     * @param {Object} options - Outbox overrides ({ queue: false, priority, ttl })
+     * @returns {boolean} True if sent or queued for later
      */
-    send(message) {
+    send(message, options = {}) {
+        if (this.transmit(message)) {
+            return true;
+        }
+
+        const queued = this.outbox.enqueue(message, options);
+        if (queued) {
+            this.log(`Queued ${message.type} (${this.outbox.size()} pending)`);
+        } else {
+            this.logError(`Cannot send ${message.type} - not connected`);
+        }
+        return queued;
+    }
+
+    /**
+     * Write a message to the open socket.
+     * @returns {boolean} False if not connected or the write failed
+     */
+    transmit(message) {
         if (!this.ws || this.ws.readyState !== WebSocket.OPEN) {
-            this.logError('Cannot send message - not connected');
             return false;
         }
 
@@ -239,16 +451,117 @@ class XentauriWebSocket {
         }
     }
 
+    /**
+     * Send queued messages in order.
+     */
+    flushOutbox() {
+        if (this.outbox.size() === 0) return;
+
+        const pending = this.outbox.size();
+        const sent = this.outbox.flush(message => this.transmit(message));
+        this.log(`Flushed outbox: ${sent}/${pending} sent`);
+    }
+
     /**
      * Send command acknowledgment.
+     * @param {string} commandId - Command ID
+     * @param {string} status - 'received', 'completed', 'failed', 'fallback' or 'scheduled'
+     * @param {Object} details - Optional { errorCode, errorMessage, durationMs, duplicate }
      */
-    sendAck(commandId, status) {
-        this.send({
+    sendAck(commandId, status, details = {}) {
+        const message = {
             type: 'ack',
             command_id: commandId,
             status: status
+        };
+
+        if (details.errorCode) message.error_code = details.errorCode;
+        if (details.errorMessage) message.error_message = details.errorMessage;
+        if (details.durationMs !== undefined) message.duration_ms = details.durationMs;
+        if (details.duplicate) message.duplicate = true;
+
+        this.send(message);
+        this.log(`Sent ACK for command ${commandId}: ${status}`, details.errorCode ? details : null);
+    }
+
+    /**
+     * Send scene validation / render error report.
+     * @param {Object} report - { commandId, sceneId, schemaVersion,
+     *   validationErrors: [{ path, message }], componentErrors: [{ id, type, message }] }
+     */
+    sendSceneReport(report) {
+        this.send({
+            type: 'scene_report',
+            command_id: report.commandId,
+            scene_id: report.sceneId,
+            schema_version: report.schemaVersion,
+            validation_errors: report.validationErrors,
+            component_errors: report.componentErrors
+        });
+        this.log(`Sent scene report for ${report.sceneId}`, {
+            validationErrors: report.validationErrors.length,
+            componentErrors: report.componentErrors.length
+        });
+    }
+
+    /**
+     * Report the effective remote-configurable settings (after set_config).
+     * @param {Object} report - { commandId, config, sources, applied, rejected }
+     */
+    sendConfigReport(report) {
+        this.send({
+            type: 'config_report',
+            command_id: report.commandId,
+            config: report.config,
+            sources: report.sources,
+            applied: report.applied,
+            rejected: report.rejected
+        });
+        this.log('Sent config report', {
+            applied: report.applied.length,
+            rejected: report.rejected.length
+        });
+    }
+
+    /**
+     * Report scheduled and active commands (list_schedule).
+     * @param {Object} report - { commandId, entries }
+     */
+    sendScheduleReport(report) {
+        this.send({
+            type: 'schedule_report',
+            command_id: report.commandId,
+            entries: report.entries
         });
-        this.log(`Sent ACK for command ${commandId}: ${status}`);
+        this.log('Sent schedule report', { entries: report.entries.length });
+    }
+
+    /**
+     * Send a screenshot as one or more `screenshot` messages.
+     * @param {string} commandId - capture_screenshot command id
+     * @param {Object} screenshot - { data (base64), mimeType, width, height }
+     * @returns {boolean} True if every chunk was sent
+     */
+    sendScreenshot(commandId, screenshot) {
+        const chunkSize = CONFIG.SCREENSHOT.CHUNK_SIZE;
+        const chunkCount = Math.max(1, Math.ceil(screenshot.data.length / chunkSize));
+
+        for (let i = 0; i < chunkCount; i++) {
+            const sent = this.transmit({
+                type: 'screenshot',
+                command_id: commandId,
+                mime_type: screenshot.mimeType,
+                width: screenshot.width,
+                height: screenshot.height,
+                chunk_index: i,
+                chunk_count: chunkCount,
+                data: screenshot.data.slice(i * chunkSize, (i + 1) * chunkSize)
+            });
+            if (!sent) return false;
+        }
+
+        this.log(`Sent screenshot for ${commandId}`, { chunks: chunkCount, length: screenshot.data.length });
+        return true;
     }
 
     /**
@@ -278,6 +591,60 @@ class XentauriWebSocket {
         this.log('Heartbeat started');
     }
 
+    // -------------------------------------------------------------------------
+    // Telemetry
+    // -------------------------------------------------------------------------
+
+    /**
+     * Send telemetry now and then every CONFIG.TELEMETRY.INTERVAL.
+     */
+    startTelemetry() {
+        this.stopTelemetry();
+
+        if (!this.getTelemetry || !CONFIG.TELEMETRY.ENABLED || this.negotiated?.features.telemetry === false) {
+            return;
+        }
+
+        this.sendTelemetry();
+        this.telemetryInterval = setInterval(() => {
+            if (this.connected) {
+                this.sendTelemetry();
+            }
+        }, CONFIG.TELEMETRY.INTERVAL);
+
+        this.log('Telemetry started');
+    }
+
+    stopTelemetry() {
+        if (this.telemetryInterval) {
+            clearInterval(this.telemetryInterval);
+            this.telemetryInterval = null;
+        }
+    }
+
+    /**
+     * Send a telemetry message with the provider's fields and connection counters.
+     */
+    sendTelemetry() {
+        let payload;
+        try {
+            payload = this.getTelemetry();
+        } catch (e) {
+            this.logError('Failed to collect telemetry', e);
+            return;
+        }
+
+        this.send({
+            type: 'telemetry',
+            ...payload,
+            connection: {
+                connects: this.stats.connects,
+                reconnects: this.stats.reconnects,
+                connected_ms: this.stats.connectedAt ? Date.now() - this.stats.connectedAt : null
+            }
+        });
+    }
+
     // -------------------------------------------------------------------------
     // Reconnection
     // -------------------------------------------------------------------------
@@ -306,6 +673,7 @@ class XentauriWebSocket {
      */
     scheduleReconnect() {
         this.reconnectAttempts++;
+        this.stats.reconnects++;
         const delay = this.calculateReconnectDelay();
 
         this.log(`Scheduling reconnect in ${delay}ms (attempt ${this.reconnectAttempts})`);
@@ -354,6 +722,10 @@ class XentauriWebSocket {
         return {
             connected: this.connected,
             reconnectAttempts: this.reconnectAttempts,
+            connects: this.stats.connects,
+            reconnects: this.stats.reconnects,
+            protocolVersion: this.negotiated?.protocolVersion ?? null,
+            outbox: this.outbox.getStatus(),
             agentId: this.agentId
         };
     }
@@ -0,0 +1,111 @@
+/* =============================================================================
+   XENTAURI PI SCREEN - Command History
+   ============================================================================= */
+
+/**
+ * Remembers the outcome of recently processed commands so a command the
+ * backend re-sends (e.g. after a missed ACK) is answered with its original
+ * result instead of being executed again.
+ *
+ * Finished results are kept in a bounded ring persisted to localStorage.
+ * Commands still running are tracked in memory only: if the page reloads
+ * mid-command, a retry executes it again.
+ */
+class CommandHistory {
+    constructor(options = {}) {
+        this.storageKey = options.storageKey || CONFIG.COMMANDS.HISTORY_STORAGE_KEY;
+        this.maxEntries = options.maxEntries || CONFIG.COMMANDS.HISTORY_SIZE;
+
+        // Owner of the persisted ring; entries for another agent are discarded
+        this.agentId = options.agentId || null;
+
+        // Finished commands ({ commandId, status, errorCode, errorMessage, durationMs, at }), oldest first
+        this.entries = [];
+
+        // Command ids currently executing
+        this.running = new Set();
+
+        this.load();
+    }
+
+    // -------------------------------------------------------------------------
+    // Lookup / Recording
+    // -------------------------------------------------------------------------
+
+    /**
+     * Previous outcome of a command.
+     * @param {string} commandId - Command ID
+     * @returns {Object|null} Recorded result, { status: 'received' } while
+     *   running, or null if the command hasn't been seen
+     */
+    get(commandId) {
+        if (this.running.has(commandId)) {
+            return { status: 'received' };
+        }
+        return this.entries.find(entry => entry.commandId === commandId) || null;
+    }
+
+    /**
+     * Mark a command as executing.
+     * @param {string} commandId - Command ID
+     */
+    start(commandId) {
+        this.running.add(commandId);
+    }
+
+    /**
+     * Record a command's final result.
+     * @param {string} commandId - Command ID
+     * @param {Object} result - { status, errorCode, errorMessage, durationMs }
+     */
+    record(commandId, result) {
+        this.running.delete(commandId);
+        this.entries = this.entries.filter(entry => entry.commandId !== commandId);
+
+        this.entries.push({
+            commandId,
+            status: result.status,
+            errorCode: result.errorCode,
+            errorMessage: result.errorMessage,
+            durationMs: result.durationMs,
+            at: Date.now()
+        });
+
+        if (this.entries.length > this.maxEntries) {
+            this.entries.splice(0, this.entries.length - this.maxEntries);
+        }
+
+        this.save();
+    }
+
+    /**
+     * Forget everything (e.g. after unpairing).
+     */
+    clear() {
+        this.entries = [];
+        this.running.clear();
+        Helpers.clearStorage(this.storageKey);
+    }
+
+    // -------------------------------------------------------------------------
+    // Persistence
+    // -------------------------------------------------------------------------
+
+    load() {
+        const stored = Helpers.loadFromStorage(this.storageKey, Infinity);
+        if (!stored || !Array.isArray(stored.entries) || stored.agentId !== this.agentId) {
+            return;
+        }
+
+        this.entries = stored.entries
+            .filter(entry => entry && entry.commandId && entry.status)
+            .slice(-this.maxEntries);
+    }
+
+    save() {
+        Helpers.saveToStorage(this.storageKey, { agentId: this.agentId, entries: this.entries });
+    }
+}
+
+// Make globally available
+window.CommandHistory = CommandHistory;
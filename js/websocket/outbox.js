@@ -0,0 +1,193 @@
+/* =============================================================================
+   XENTAURI PI SCREEN - Outbound Message Queue
+   ============================================================================= */
+
+/**
+ * Buffers messages the WebSocket client couldn't send (socket closed or
+ * reconnecting) and replays them in order once the connection is back.
+ *
+ * The queue is bounded and persisted to localStorage so ACKs survive a page
+ * reload. Each message type has a policy:
+ *   priority - eviction order when full (lowest priority, oldest first)
+ *   ttl      - ms after which a queued message is dropped instead of sent
+ *   dedupe   - keep only the newest queued message of this type
+ *   queue    - false = never queued (sent live or not at all)
+ */
+class OutboundQueue {
+    constructor(options = {}) {
+        this.storageKey = options.storageKey || CONFIG.OUTBOX.STORAGE_KEY;
+        this.maxMessages = options.maxMessages || CONFIG.OUTBOX.MAX_MESSAGES;
+
+        // Queued entries ({ message, priority, queuedAt, expiresAt }), oldest first
+        this.entries = [];
+
+        // Owner of the persisted queue; entries for another agent are discarded
+        this.agentId = options.agentId || null;
+
+        // Per-type policies (priority: 0 = low, 1 = normal, 2 = high)
+        this.defaultPolicy = { priority: 1, ttl: 600000 };
+        this.policies = {
+            ack:           { priority: 2, ttl: 3600000 },
+            scene_report:  { priority: 1, ttl: 600000 },
+            config_report: { priority: 1, ttl: 600000 },
+            telemetry:     { priority: 0, ttl: 300000, dedupe: true },
+            heartbeat:     { priority: 0, ttl: 60000, dedupe: true },
+            hello:         { queue: false },   // Sent fresh on every connect
+            screenshot:    { queue: false },   // Too large to persist
+            ...options.policies
+        };
+
+        this.load();
+    }
+
+    /**
+     * Policy for a message type.
+     * @param {string} type - Message type
+     * @returns {Object} { priority, ttl, dedupe, queue }
+     */
+    policyFor(type) {
+        return { ...this.defaultPolicy, ...this.policies[type] };
+    }
+
+    // -------------------------------------------------------------------------
+    // Queue Operations
+    // -------------------------------------------------------------------------
+
+    /**
+     * Queue a message for later delivery.
+     * @param {Object} message - Message (must have a type)
+     * @param {Object} overrides - Optional { priority, ttl } for this message
+     * @returns {boolean} True if the message was queued
+     */
+    enqueue(message, overrides = {}) {
+        const policy = { ...this.policyFor(message.type), ...overrides };
+        if (policy.queue === false) {
+            return false;
+        }
+
+        this.prune();
+
+        if (policy.dedupe) {
+            this.entries = this.entries.filter(entry => entry.message.type !== message.type);
+        }
+
+        const now = Date.now();
+        const entry = {
+            message,
+            priority: policy.priority,
+            queuedAt: now,
+            expiresAt: now + policy.ttl
+        };
+        this.entries.push(entry);
+
+        while (this.entries.length > this.maxMessages) {
+            this.evict();
+        }
+
+        this.save();
+        return this.entries.includes(entry);
+    }
+
+    /**
+     * Send queued messages oldest first. Stops at the first failure and keeps
+     * the rest queued.
+     * @param {Function} sendFn - (message) => boolean
+     * @returns {number} Number of messages sent
+     */
+    flush(sendFn) {
+        this.prune();
+
+        let sent = 0;
+        while (this.entries.length > 0) {
+            if (!sendFn(this.entries[0].message)) break;
+            this.entries.shift();
+            sent++;
+        }
+
+        this.save();
+        return sent;
+    }
+
+    /**
+     * Drop the lowest-priority, oldest entry.
+     */
+    evict() {
+        let victim = 0;
+        this.entries.forEach((entry, i) => {
+            if (entry.priority < this.entries[victim].priority) victim = i;
+        });
+
+        const [dropped] = this.entries.splice(victim, 1);
+        Helpers.debug('Outbox', `Queue full, dropped ${dropped.message.type}`);
+    }
+
+    /**
+     * Remove expired entries.
+     */
+    prune() {
+        const now = Date.now();
+        this.entries = this.entries.filter(entry => entry.expiresAt > now);
+    }
+
+    /**
+     * Drop everything (e.g. after unpairing).
+     */
+    clear() {
+        this.entries = [];
+        Helpers.clearStorage(this.storageKey);
+    }
+
+    /**
+     * Number of queued messages.
+     */
+    size() {
+        return this.entries.length;
+    }
+
+    /**
+     * Queue summary for status/debug output.
+     * @returns {Object} { size, types: { type: count }, oldestMs }
+     */
+    getStatus() {
+        const types = {};
+        this.entries.forEach(entry => {
+            types[entry.message.type] = (types[entry.message.type] || 0) + 1;
+        });
+
+        return {
+            size: this.entries.length,
+            types,
+            oldestMs: this.entries.length ? Date.now() - this.entries[0].queuedAt : null
+        };
+    }
+
+    // -------------------------------------------------------------------------
+    // Persistence
+    // -------------------------------------------------------------------------
+
+    load() {
+        const stored = Helpers.loadFromStorage(this.storageKey, Infinity);
+        if (!stored || !Array.isArray(stored.entries) || stored.agentId !== this.agentId) {
+            return;
+        }
+
+        this.entries = stored.entries.filter(entry => entry && entry.message && entry.message.type);
+        this.prune();
+
+        if (this.entries.length) {
+            Helpers.debug('Outbox', `Restored ${this.entries.length} queued message(s)`);
+        }
+    }
+
+    save() {
+        if (this.entries.length === 0) {
+            Helpers.clearStorage(this.storageKey);
+            return;
+        }
+
+        Helpers.saveToStorage(this.storageKey, { agentId: this.agentId, entries: this.entries });
+    }
+}
+
+// Make globally available
+window.OutboundQueue = OutboundQueue;